@@ -1,274 +1,2435 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { createSupabaseClient } from "./supabaseClient";
+import {
+  MOVIE_GENRES,
+  TV_GENRES,
+  getGenreNames,
+  getGenreIds,
+  getRuntimeMinutes,
+  getReleaseYear,
+  formatRuntime,
+  formatReleaseDate,
+  formatLanguage,
+  formatVoteAverage,
+  metadataFromTmdb,
+  needsMetadataBackfill,
+  backfillMetadata,
+} from "./movieMetadata";
+import { collectSuggestions } from "./suggestions";
+import { findDuplicate } from "./duplicates";
+import { parseImportFile, matchImportEntries } from "./importList";
+import { toCsv, toJson, toICalendar, downloadFile } from "./exportList";
+import {
+  DEFAULT_NIGHT_ENDS_AT,
+  getNextNight,
+  getEndTimeWarning,
+  toDateKey,
+  toLocalInputValue,
+  fromLocalInputValue,
+  getMonthGrid,
+  groupNightsByDay,
+  formatTime,
+  formatNight,
+} from "./movieNights";
+import { subscribeToTable } from "./realtime";
+import { createTmdbClient, isAbortError, summarizeTitleDetails } from "./tmdb";
+import {
+  signInWithPassword,
+  signUp,
+  sendMagicLink,
+  refreshSession,
+  getUser,
+  signOut,
+  readSessionFromUrl,
+  loadStoredSession,
+  storeSession,
+  getDisplayName,
+} from "./auth";
+import {
+  queueCacheKey,
+  readCache,
+  writeCache,
+  clearCache,
+  enqueueMutation,
+  readMutations,
+  replaceMutation,
+  removeMutation,
+} from "./offlineStore";
+import {
+  createLocalId,
+  getInsertRows,
+  pickFields,
+  sendMutation,
+  replayMutations,
+} from "./offlineQueue";
+
+const QUEUE_ORDER_STORAGE_KEY = "cinemaQueue.queueOrder";
+
+const POLL_INTERVAL_MS = 30000;
+const SYNC_RETRY_INTERVAL_MS = 15000;
+
+const UNDO_TIMEOUT_MS = 6000;
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const LIST_ROLES = ["owner", "member", "viewer"];
+
+// The columns a removal is checked against when it's replayed after being
+// made offline: if someone edited these meanwhile, the movie is kept.
+const MOVIE_DETAIL_FIELDS = [
+  "title",
+  "genre_ids",
+  "runtime_minutes",
+  "priority",
+  "poster_url",
+  "release_date",
+];
+
+const listsCacheKey = (userId) => `lists:${userId}`;
+
+const describeSyncConflict = ({ mutation, reason }) => {
+  const subject =
+    { votes: "A vote", ratings: "A rating" }[mutation.table] || "A change";
+  if (reason === "deleted") {
+    return `${subject} made offline was dropped because the movie was removed`;
+  }
+  if (reason === "rejected") {
+    return `${subject} made offline couldn't be saved`;
+  }
+  return mutation.type === "delete"
+    ? "A movie you removed offline was kept because someone edited it"
+    : `${subject} made offline clashed with someone else's edit; theirs was kept`;
+};
+
+const readListSlug = () =>
+  new URLSearchParams(window.location.search).get("list") || "";
+
+// Detail views deep-link as /movie/<row id>, keeping the query string.
+const MOVIE_ROUTE_PATTERN = /\/movie\/([^/]+)\/?$/;
+
+const readMovieRoute = () =>
+  window.location.pathname.match(MOVIE_ROUTE_PATTERN)?.[1] || null;
+
+const getBasePath = () => {
+  const path = window.location.pathname.replace(MOVIE_ROUTE_PATTERN, "/");
+  return path.endsWith("/") ? path : `${path}/`;
+};
+
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "list";
+
+const QUEUE_ORDERS = [
+  { value: "manual", label: "Manual Order" },
+  { value: "priority", label: "Priority First" },
+  { value: "oldest", label: "Oldest First" },
+  { value: "votes", label: "Most Votes" },
+];
+
+// TMDB groups offers by how you pay; free and ad-supported count as streaming.
+const WATCH_OFFER_KINDS = [
+  { label: "Stream", keys: ["flatrate", "free", "ads"] },
+  { label: "Rent", keys: ["rent"] },
+  { label: "Buy", keys: ["buy"] },
+];
+
+const getWatchProviderKey = (movie) =>
+  movie.tmdb_id ? `${movie.media_type || "movie"}:${movie.tmdb_id}` : null;
+
+const getOfferProviders = (offers, keys) => {
+  const providers = keys.flatMap((key) => offers?.[key] || []);
+  return providers.filter(
+    (provider, index) =>
+      providers.findIndex((p) => p.provider_id === provider.provider_id) ===
+      index
+  );
+};
+
+const SEARCH_MODES = [
+  { value: "movie", label: "Movies" },
+  { value: "multi", label: "Movies & TV" },
+];
+
+const EMPTY_MOVIE_FORM = {
+  title: "",
+  genreIds: [],
+  runtimeMinutes: "",
+  priority: "medium",
+  posterUrl: "",
+  tmdbId: "",
+  releaseDate: "",
+  originalLanguage: "",
+  voteAverage: null,
+  mediaType: "movie",
+  seasonNumber: "",
+  episodeNumber: "",
+  network: "",
+};
+
+// Maps a stored row onto the add/edit form's field names.
+const toMovieForm = (movie) => ({
+  title: movie.title || "",
+  genreIds: getGenreIds(movie),
+  runtimeMinutes: getRuntimeMinutes(movie) ?? "",
+  priority: movie.priority || "medium",
+  posterUrl: movie.poster_url || "",
+  tmdbId: movie.tmdb_id || "",
+  releaseDate: movie.release_date || "",
+  originalLanguage: movie.original_language || "",
+  voteAverage: movie.vote_average ?? null,
+  mediaType: movie.media_type || "movie",
+  seasonNumber: movie.season_number ?? "",
+  episodeNumber: movie.episode_number ?? "",
+  network: movie.network || "",
+});
+
+// "Season 2" or "S2 · E5" for part of a series; "" for a film or whole series.
+const formatEpisodeLabel = (movie) => {
+  if (movie.season_number == null) return "";
+  return movie.episode_number == null
+    ? `Season ${movie.season_number}`
+    : `S${movie.season_number} · E${movie.episode_number}`;
+};
+
+const toOptionalInteger = (value) =>
+  value === "" || value == null ? null : Number(value);
+
+// The structured columns the add and edit forms write.
+const toMetadataColumns = (values) => ({
+  genre_ids: values.genreIds,
+  runtime_minutes: toOptionalInteger(values.runtimeMinutes),
+  release_date: values.releaseDate || null,
+});
+
+// Merges a Realtime change into state. Our own writes echo back here too,
+// so inserts and updates replace any row we already have.
+const applyRowChange =
+  (setRows) =>
+  ({ type, record, oldRecord }) => {
+    setRows((current) => {
+      if (type === "DELETE") {
+        return current.filter((row) => row.id !== oldRecord?.id);
+      }
+      if (!record) return current;
+      return current.some((row) => row.id === record.id)
+        ? current.map((row) => (row.id === record.id ? record : row))
+        : [...current, record];
+    });
+  };
+
+const getAverageRating = (ratings) => {
+  if (ratings.length === 0) return null;
+  const total = ratings.reduce((sum, rating) => sum + rating.stars, 0);
+  return { average: total / ratings.length, count: ratings.length };
+};
+
+const formatRating = ({ average, count }) =>
+  `★ ${average.toFixed(1)} (${count} ${count === 1 ? "rating" : "ratings"})`;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+const PRIORITY_WEIGHT = { high: 3, medium: 2, low: 1 };
+
+// What "bump" raises an existing entry to: the priority picked in the add
+// form if that's higher, otherwise one step up.
+const getBumpedPriority = (current, requested) =>
+  (PRIORITY_RANK[requested] ?? 3) < (PRIORITY_RANK[current] ?? 3)
+    ? requested
+    : current === "low"
+      ? "medium"
+      : "high";
+
+const QUEUE_FILTER_PARAMS = [
+  "q",
+  "genre",
+  "by",
+  "priority",
+  "decade",
+  "minRuntime",
+  "maxRuntime",
+  "services",
+];
+
+const readQueueFilters = () => {
+  const params = new URLSearchParams(window.location.search);
+  return Object.fromEntries(
+    QUEUE_FILTER_PARAMS.map((param) => [param, params.get(param) || ""])
+  );
+};
+
+// Mirrors the active filters into the query string (leaving any other params
+// alone) so a filtered view can be shared as a link.
+const writeQueueFilters = (filters) => {
+  const params = new URLSearchParams(window.location.search);
+  QUEUE_FILTER_PARAMS.forEach((param) => {
+    if (filters[param]) {
+      params.set(param, filters[param]);
+    } else {
+      params.delete(param);
+    }
+  });
+  const query = params.toString();
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${query ? `?${query}` : ""}${
+      window.location.hash
+    }`
+  );
+};
+
+const getReleaseDecade = (movie) => {
+  const year = getReleaseYear(movie);
+  return year === null ? null : Math.floor(year / 10) * 10;
+};
+
+const matchesQueueFilters = (movie, filters, isOnOurServices = () => true) => {
+  const runtime = getRuntimeMinutes(movie);
+  return (
+    (!filters.q ||
+      (movie.title || "").toLowerCase().includes(filters.q.toLowerCase())) &&
+    (!filters.genre || getGenreNames(movie).includes(filters.genre)) &&
+    (!filters.by || movie.added_by === filters.by) &&
+    (!filters.priority || movie.priority === filters.priority) &&
+    (!filters.decade || getReleaseDecade(movie) === Number(filters.decade)) &&
+    (!filters.minRuntime ||
+      (runtime !== null && runtime >= Number(filters.minRuntime))) &&
+    (!filters.maxRuntime ||
+      (runtime !== null && runtime <= Number(filters.maxRuntime))) &&
+    (!filters.services || isOnOurServices(movie))
+  );
+};
+
+const pickRandomMovie = (candidates, weighted) => {
+  const weightOf = (movie) =>
+    weighted ? PRIORITY_WEIGHT[movie.priority] || 1 : 1;
+  const totalWeight = candidates.reduce(
+    (sum, movie) => sum + weightOf(movie),
+    0
+  );
+  let roll = Math.random() * totalWeight;
+  for (const movie of candidates) {
+    roll -= weightOf(movie);
+    if (roll < 0) return movie;
+  }
+  return candidates[candidates.length - 1];
+};
+
+const byAge = (a, b) =>
+  new Date(a.created_at).getTime() - new Date(b.created_at).getTime();
+
+const sortQueue = (movies, queueOrder, netVotes = {}) => {
+  if (queueOrder === "votes") {
+    // Ties keep the manual order the list already arrives in.
+    return [...movies].sort(
+      (a, b) => (netVotes[b.id] || 0) - (netVotes[a.id] || 0)
+    );
+  }
+  if (queueOrder === "oldest") {
+    return [...movies].sort(byAge);
+  }
+  if (queueOrder === "priority") {
+    return [...movies].sort(
+      (a, b) =>
+        (PRIORITY_RANK[a.priority] ?? 3) - (PRIORITY_RANK[b.priority] ?? 3) ||
+        byAge(a, b)
+    );
+  }
+  return movies;
+};
 
 export default function App() {
   const [movies, setMovies] = useState([]);
+  const movieIdsRef = useRef(new Set());
+  movieIdsRef.current = new Set(movies.map((movie) => movie.id));
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  const [newMovie, setNewMovie] = useState({
-    title: "",
-    genre: "",
-    runtime: "",
-    addedBy: "",
-    priority: "medium",
-    posterUrl: "",
-    tmdbId: "",
-    releaseYear: "",
-  });
+  const [newMovie, setNewMovie] = useState(EMPTY_MOVIE_FORM);
 
   const [movieSearch, setMovieSearch] = useState("");
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const [isFetchingDetails, setIsFetchingDetails] = useState(false);
+  const [searchMode, setSearchMode] = useState("movie");
+  const [searchPage, setSearchPage] = useState(1);
+  const [searchTotalPages, setSearchTotalPages] = useState(0);
+  const [highlightedResult, setHighlightedResult] = useState(-1);
+  // Details of the TV series picked from search, for choosing a season or
+  // episode to queue.
+  const [tvDetails, setTvDetails] = useState(null);
+  const [tvEpisodes, setTvEpisodes] = useState([]);
   const [showAddForm, setShowAddForm] = useState(false);
 
+  const [syncStatus, setSyncStatus] = useState("connecting");
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+  const [pendingSyncCount, setPendingSyncCount] = useState(0);
+  const [syncNotices, setSyncNotices] = useState([]);
+  const [loadedListId, setLoadedListId] = useState(null);
+  const pendingSyncRef = useRef(0);
+  pendingSyncRef.current = pendingSyncCount;
+
+  const [session, setSession] = useState(loadStoredSession);
+  const [authForm, setAuthForm] = useState({
+    email: "",
+    password: "",
+    displayName: "",
+  });
+  const [authMessage, setAuthMessage] = useState(null);
+  const [authBusy, setAuthBusy] = useState(false);
+
+  const [lists, setLists] = useState([]);
+  const [listSlug, setListSlug] = useState(readListSlug);
+  const [newListName, setNewListName] = useState("");
+  const [showNewList, setShowNewList] = useState(false);
+
+  const [queueOrder, setQueueOrder] = useState(
+    () => localStorage.getItem(QUEUE_ORDER_STORAGE_KEY) || "manual"
+  );
+
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState(EMPTY_MOVIE_FORM);
+
+  const [votes, setVotes] = useState([]);
+  const [ratings, setRatings] = useState([]);
+  const [listMembers, setListMembers] = useState([]);
+  const [showMembers, setShowMembers] = useState(false);
+
+  const [backfillProgress, setBackfillProgress] = useState(null);
+  const [backfillAttempted, setBackfillAttempted] = useState(() => new Set());
+
+  const [detailMovieId, setDetailMovieId] = useState(readMovieRoute);
+  const [titleDetails, setTitleDetails] = useState(null);
+
+  // Watch-provider offers per TMDB title, keyed by getWatchProviderKey and
+  // then by region.
+  const [watchProviders, setWatchProviders] = useState({});
+  const requestedProvidersRef = useRef(new Set());
+  const [showServices, setShowServices] = useState(false);
+  const [servicesDraft, setServicesDraft] = useState({
+    region: "US",
+    services: [],
+  });
+  const [watchRegions, setWatchRegions] = useState([]);
+  const [providerCatalog, setProviderCatalog] = useState([]);
+
+  const [confirmRemovalId, setConfirmRemovalId] = useState(null);
+  const [pendingRemoval, setPendingRemoval] = useState(null);
+  const pendingRemovalRef = useRef(null);
+
+  const [queueFilters, setQueueFilters] = useState(readQueueFilters);
+
+  const [showPicker, setShowPicker] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [calendarMonth, setCalendarMonth] = useState(() => {
+    const today = new Date();
+    return { year: today.getFullYear(), month: today.getMonth() };
+  });
+  const [scheduleDraft, setScheduleDraft] = useState(null);
+  const [nightEndsDraft, setNightEndsDraft] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const [showImport, setShowImport] = useState(false);
+  const [importRows, setImportRows] = useState(null);
+  const [importProgress, setImportProgress] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const importAbortRef = useRef(null);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isLoadingSuggestions, setIsLoadingSuggestions] = useState(false);
+  const [addingSuggestionKey, setAddingSuggestionKey] = useState(null);
+  const [pickerFilters, setPickerFilters] = useState({
+    genre: "",
+    maxRuntime: "",
+    suggester: "",
+    weighted: true,
+  });
+  const [pickerHighlightId, setPickerHighlightId] = useState(null);
+  const [pickerResultId, setPickerResultId] = useState(null);
+  const [isSpinning, setIsSpinning] = useState(false);
+  const spinTimeoutRef = useRef(null);
+
+  const [ratingMovieId, setRatingMovieId] = useState(null);
+  const [ratingDraft, setRatingDraft] = useState({
+    stars: 0,
+    note: "",
+  });
+
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const draggedIdRef = useRef(null);
+  const pendingFocusRef = useRef(null);
+
   const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL;
   const SUPABASE_ANON_KEY = process.env.REACT_APP_SUPABASE_ANON_KEY;
 
+  // Requests carry the signed-in user's token so row-level security applies;
+  // the anon key is only used before anyone has signed in.
+  const currentUser = session?.user || null;
+  const displayName = getDisplayName(currentUser);
+  // A session restored from storage may have expired; hold off loading until
+  // the refresh below has swapped in a fresh token.
+  const hasFreshSession = Boolean(
+    session && session.expires_at * 1000 > Date.now()
+  );
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
   const TMDB_API_KEY = process.env.REACT_APP_MOVIES_API;
-  const TMDB_BASE_URL = "https://api.themoviedb.org/3";
   const TMDB_IMAGE_BASE_URL = "https://image.tmdb.org/t/p/w500";
 
-  const supabase = {
-    from: (table) => ({
-      select: (columns = "*") => ({
-        eq: (column, value) =>
-          fetchData(
-            `${SUPABASE_URL}/rest/v1/${table}?select=${columns}&${column}=eq.${value}`
-          ),
-        order: (column, options = {}) =>
-          fetchData(
-            `${SUPABASE_URL}/rest/v1/${table}?select=${columns}&order=${column}.${
-              options.ascending ? "asc" : "desc"
-            }`
-          ),
-        then: (callback) =>
-          fetchData(`${SUPABASE_URL}/rest/v1/${table}?select=${columns}`).then(
-            callback
-          ),
-      }),
-      insert: (data) => ({
-        select: () => ({
-          then: (callback) =>
-            insertData(`${SUPABASE_URL}/rest/v1/${table}`, data).then(callback),
-        }),
-      }),
-      delete: () => ({
-        eq: (column, value) =>
-          deleteData(`${SUPABASE_URL}/rest/v1/${table}?${column}=eq.${value}`),
+  const tmdb = useMemo(
+    () => TMDB_API_KEY && createTmdbClient({ apiKey: TMDB_API_KEY }),
+    [TMDB_API_KEY]
+  );
+
+  const supabase = useMemo(
+    () =>
+      createSupabaseClient({
+        url: SUPABASE_URL,
+        anonKey: SUPABASE_ANON_KEY,
+        getAccessToken: () => sessionRef.current?.access_token,
       }),
-    }),
-  };
+    [SUPABASE_URL, SUPABASE_ANON_KEY]
+  );
 
-  const fetchData = async (url) => {
-    try {
-      const response = await fetch(url, {
-        headers: {
-          apikey: SUPABASE_ANON_KEY,
-          Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-          "Content-Type": "application/json",
-        },
-      });
-      const data = await response.json();
-      return { data, error: null };
-    } catch (error) {
-      return { data: null, error };
+  useEffect(() => {
+    storeSession(session);
+  }, [session]);
+
+  // Pick up a session handed back by a magic link.
+  useEffect(() => {
+    const urlSession = readSessionFromUrl();
+    if (!urlSession || !SUPABASE_URL) return;
+
+    getUser({
+      url: SUPABASE_URL,
+      apiKey: SUPABASE_ANON_KEY,
+      accessToken: urlSession.access_token,
+    }).then(({ data, error }) => {
+      if (error) {
+        setAuthMessage("That sign-in link is invalid or has expired");
+      } else {
+        setSession({ ...urlSession, user: data });
+      }
+    });
+  }, [SUPABASE_URL, SUPABASE_ANON_KEY]);
+
+  // Refresh the access token a minute before it expires.
+  // Offline, keep the expired session and refresh once we're reachable again.
+  useEffect(() => {
+    if (!session?.refresh_token || !SUPABASE_URL || !isOnline) {
+      return undefined;
     }
-  };
 
-  const insertData = async (url, payload) => {
-    try {
-      const response = await fetch(url, {
-        method: "POST",
-        headers: {
-          apikey: SUPABASE_ANON_KEY,
-          Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-          "Content-Type": "application/json",
-          Prefer: "return=representation",
-        },
-        body: JSON.stringify(payload),
+    const delay = Math.max(session.expires_at * 1000 - Date.now() - 60000, 0);
+    const timer = setTimeout(async () => {
+      const { data, error } = await refreshSession({
+        url: SUPABASE_URL,
+        apiKey: SUPABASE_ANON_KEY,
+        refreshToken: session.refresh_token,
       });
-      const data = await response.json();
-      return { data, error: null };
-    } catch (error) {
-      return { data: null, error };
+      if (error) {
+        setSession(null);
+        setAuthMessage("Your session expired, please sign in again");
+      } else {
+        setSession(data);
+      }
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [session, isOnline, SUPABASE_URL, SUPABASE_ANON_KEY]);
+
+  const handleSignIn = async (mode) => {
+    const { email, password, displayName: name } = authForm;
+    if (!email.trim() || (mode !== "magic" && !password)) return;
+
+    setAuthBusy(true);
+    setAuthMessage(null);
+    const options = {
+      url: SUPABASE_URL,
+      apiKey: SUPABASE_ANON_KEY,
+      email: email.trim(),
+      password,
+      displayName: name.trim(),
+    };
+
+    if (mode === "magic") {
+      const { error } = await sendMagicLink({
+        ...options,
+        redirectTo: window.location.href,
+      });
+      setAuthMessage(
+        error ? error.message : `Check ${options.email} for a sign-in link`
+      );
+    } else {
+      const { data, error } =
+        mode === "signup"
+          ? await signUp(options)
+          : await signInWithPassword(options);
+      if (error) {
+        setAuthMessage(error.message);
+      } else if (data?.access_token) {
+        setSession(data);
+        setAuthForm({ email: "", password: "", displayName: "" });
+      } else {
+        setAuthMessage(`Check ${options.email} to confirm your account`);
+      }
     }
+    setAuthBusy(false);
   };
 
-  const deleteData = async (url) => {
-    try {
-      const response = await fetch(url, {
-        method: "DELETE",
-        headers: {
-          apikey: SUPABASE_ANON_KEY,
-          Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-          "Content-Type": "application/json",
-        },
+  const handleSignOut = async () => {
+    await signOut({
+      url: SUPABASE_URL,
+      apiKey: SUPABASE_ANON_KEY,
+      accessToken: session?.access_token,
+    });
+    setSession(null);
+    setLists([]);
+    setMovies([]);
+    setVotes([]);
+    setRatings([]);
+    await clearCache();
+  };
+
+  // Unknown or missing slugs fall back to the first (oldest) list.
+  const activeList =
+    lists.find((list) => list.slug === listSlug) || lists[0] || null;
+  const activeListId = activeList?.id ?? null;
+  const watchRegion = activeList?.watch_region || "US";
+  // Postgres `time` comes back as "23:00:00".
+  const nightEndsAt =
+    activeList?.night_ends_at?.slice(0, 5) || DEFAULT_NIGHT_ENDS_AT;
+  const ourServices = activeList?.streaming_services || [];
+
+  const loadLists = async () => {
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+      setError("Supabase configuration missing");
+      setLoading(false);
+      return;
+    }
+    if (!currentUser) {
+      setLoading(false);
+      return;
+    }
+
+    const cacheKey = listsCacheKey(currentUser.id);
+    const cachedLists = await readCache(cacheKey);
+    if (cachedLists?.length) {
+      setLists((current) => (current.length ? current : cachedLists));
+    }
+    if (!hasFreshSession) {
+      if (!cachedLists?.length) setLoading(true);
+      return;
+    }
+
+    const { data: memberLists, error } = await supabase
+      .from("lists")
+      .select()
+      .order("created_at", { ascending: true });
+
+    // Lists you're not on yet are only readable through their shared link.
+    let data = memberLists;
+    if (
+      !error &&
+      listSlug &&
+      !memberLists?.some((list) => list.slug === listSlug)
+    ) {
+      const { data: sharedLists } = await supabase.rpc("list_by_slug", {
+        target_slug: listSlug,
       });
-      return { error: null };
-    } catch (error) {
-      return { error };
+      data = [...(memberLists || []), ...(sharedLists || [])];
+    }
+
+    if (error) {
+      if (!error.isNetworkError || !cachedLists?.length) {
+        setError("Failed to load watchlists");
+      }
+      setLoading(false);
+    } else {
+      setLists(data || []);
+      writeCache(cacheKey, data || []);
+      if (!data?.length) setLoading(false);
     }
   };
 
+  const loadListsRef = useRef(loadLists);
+  loadListsRef.current = loadLists;
+
+  useEffect(() => {
+    loadListsRef.current();
+  }, [currentUser?.id, hasFreshSession]);
+
+  const selectList = (slug) => {
+    const params = new URLSearchParams(window.location.search);
+    params.set("list", slug);
+    window.history.pushState(null, "", `${getBasePath()}?${params.toString()}`);
+    setListSlug(slug);
+    setDetailMovieId(null);
+  };
+
   useEffect(() => {
-    loadMovies();
+    const handlePopState = () => {
+      setListSlug(readListSlug());
+      setDetailMovieId(readMovieRoute());
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
   }, []);
 
-  const loadMovies = async () => {
+  const createList = async () => {
+    const name = newListName.trim();
+    if (!name) return;
+
+    const baseSlug = slugify(name);
+    const takenSlugs = new Set(lists.map((list) => list.slug));
+    let slug = baseSlug;
+    for (let n = 2; takenSlugs.has(slug); n += 1) {
+      slug = `${baseSlug}-${n}`;
+    }
+
+    const { data, error } = await supabase
+      .from("lists")
+      .insert([
+        {
+          name,
+          slug,
+          user_id: currentUser.id,
+          created_at: new Date().toISOString(),
+        },
+      ])
+      .select();
+
+    if (error) {
+      setError("Failed to create watchlist");
+    } else {
+      setLists([...lists, data[0]]);
+      setNewListName("");
+      setShowNewList(false);
+      selectList(data[0].slug);
+    }
+  };
+
+  // Background refreshes (polling, catching up after a reconnect) skip the
+  // loading banner so the page doesn't flicker.
+  const loadMovies = async ({ background = false } = {}) => {
     if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
       setError("Supabase configuration missing");
       setLoading(false);
       return;
     }
 
-    setLoading(true);
+    if (!activeListId) return;
+    // Don't overwrite changes that are still waiting to be sent; the replay
+    // refreshes the queue once they're through.
+    if (background && pendingSyncRef.current > 0) return;
+
+    let cached = null;
+    if (!background) {
+      setLoading(true);
+      cached = await readCache(queueCacheKey(activeListId));
+      if (cached) {
+        setMovies(cached.movies);
+        setVotes(cached.votes);
+        setRatings(cached.ratings || []);
+        setListMembers(cached.listMembers);
+        setLoadedListId(activeListId);
+        setLoading(false);
+      }
+    }
+    if (!hasFreshSession) {
+      setLoading(false);
+      return;
+    }
+
     const { data, error } = await supabase
       .from("movies")
       .select()
-      .order("created_at", { ascending: true });
+      .eq("list_id", activeListId)
+      .order("position", { ascending: true });
 
     if (error) {
-      setError("Failed to load movies");
+      if (!error.isNetworkError || (!cached && !background)) {
+        setError("Failed to load movies");
+      }
+      setLoading(false);
+      return;
+    }
+    // A removal waiting out its undo window is still on the server.
+    const pendingId = pendingRemovalRef.current?.movie.id;
+    setMovies((data || []).filter((movie) => movie.id !== pendingId));
+
+    const { data: memberData, error: memberError } = await supabase
+      .from("list_members")
+      .select()
+      .eq("list_id", activeListId);
+
+    if (memberError) {
+      setError("Failed to load list members");
     } else {
-      setMovies(data || []);
+      setListMembers(memberData || []);
     }
-    setLoading(false);
-  };
 
-  const searchTMDB = async (query) => {
-    if (!query.trim() || !TMDB_API_KEY) return;
+    const movieIds = (data || []).map((movie) => movie.id);
+    const { data: voteData, error: voteError } = movieIds.length
+      ? await supabase.from("votes").select().in("movie_id", movieIds)
+      : { data: [], error: null };
 
-    setIsSearching(true);
-    try {
-      const response = await fetch(
-        `${TMDB_BASE_URL}/search/movie?api_key=${TMDB_API_KEY}&query=${encodeURIComponent(
-          query
-        )}`
-      );
-      const data = await response.json();
-      setSearchResults(data.results?.slice(0, 5) || []);
-    } catch (error) {
-      setSearchResults([]);
+    if (voteError) {
+      setError("Failed to load votes");
+    } else {
+      setVotes(voteData || []);
     }
-    setIsSearching(false);
+
+    const { data: ratingData, error: ratingError } = movieIds.length
+      ? await supabase.from("ratings").select().in("movie_id", movieIds)
+      : { data: [], error: null };
+
+    if (ratingError) {
+      setError("Failed to load ratings");
+    } else {
+      setRatings(ratingData || []);
+    }
+    setLoadedListId(activeListId);
+    setLoading(false);
   };
 
-  const getMovieDetails = async (movieId) => {
-    if (!TMDB_API_KEY) return null;
+  const loadMoviesRef = useRef(loadMovies);
+  loadMoviesRef.current = loadMovies;
 
-    try {
-      const response = await fetch(
-        `${TMDB_BASE_URL}/movie/${movieId}?api_key=${TMDB_API_KEY}`
+  useEffect(() => {
+    if (activeListId === null) return;
+    setLoadedListId(null);
+    setMovies([]);
+    setVotes([]);
+    setRatings([]);
+    setListMembers([]);
+    setShowSuggestions(false);
+    setSuggestions([]);
+    loadMoviesRef.current();
+  }, [activeListId]);
+
+  // Keep the last copy of the queue so it can be shown straight away next
+  // time, including with no connection.
+  useEffect(() => {
+    if (loadedListId === null) return;
+    writeCache(queueCacheKey(loadedListId), {
+      movies,
+      votes,
+      ratings,
+      listMembers,
+    });
+  }, [loadedListId, movies, votes, ratings, listMembers]);
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  // Writes go straight to Supabase when it's reachable. Offline, or while
+  // earlier offline writes are still waiting, they're queued on the device and
+  // reported as successful so the optimistic update stands.
+  const runMutation = async (mutation) => {
+    let result = null;
+    if (isOnline && pendingSyncRef.current === 0) {
+      result = await sendMutation(supabase, mutation);
+      if (!result.error?.isNetworkError) return result;
+    }
+
+    const withLocalId = (row) => ({ id: createLocalId(), ...row });
+    let queued = mutation;
+    if (mutation.type === "insert") {
+      queued = mutation.rows
+        ? { ...mutation, rows: mutation.rows.map(withLocalId) }
+        : { ...mutation, row: withLocalId(mutation.row) };
+    }
+    const key = await enqueueMutation(queued, currentUser?.id).catch(
+      () => null
+    );
+    if (key === null) {
+      return (
+        result || {
+          data: null,
+          error: new Error("Changes can't be saved offline on this device"),
+        }
       );
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      return null;
     }
-  };
 
-  const selectTMDBMovie = async (movie) => {
-    setIsSearching(true);
-    const movieDetails = await getMovieDetails(movie.id);
-    setIsSearching(false);
-
-    const genreNames =
-      movieDetails?.genres?.map((g) => g.name).join(", ") || "";
-    const runtime = movieDetails?.runtime ? `${movieDetails.runtime} min` : "";
-
-    const updatedMovie = {
-      title: movie.title,
-      genre: genreNames,
-      runtime: runtime,
-      addedBy: newMovie.addedBy,
-      priority: newMovie.priority,
-      posterUrl: movie.poster_path
-        ? `${TMDB_IMAGE_BASE_URL}${movie.poster_path}`
-        : "",
-      tmdbId: movie.id.toString(),
-      releaseYear: movie.release_date
-        ? new Date(movie.release_date).getFullYear().toString()
-        : "",
+    pendingSyncRef.current += 1;
+    setPendingSyncCount(pendingSyncRef.current);
+    return {
+      data: queued.type === "insert" ? getInsertRows(queued) : null,
+      error: null,
     };
+  };
 
-    setNewMovie(updatedMovie);
-    setSearchResults([]);
-    setMovieSearch("");
+  // Rows added offline are shown under their placeholder id until replay
+  // inserts them; swap in the real id, including on votes and ratings that
+  // point at a movie added offline.
+  const replaceLocalId = (table, localId, serverRow) => {
+    const setters = { movies: setMovies, votes: setVotes, ratings: setRatings };
+    // Realtime may have delivered the inserted row already.
+    setters[table]?.((current) =>
+      current.some((row) => row.id === serverRow.id)
+        ? current.filter((row) => row.id !== localId)
+        : current.map((row) => (row.id === localId ? serverRow : row))
+    );
+    if (table === "movies") {
+      const remapMovieId = (current) =>
+        current.map((row) =>
+          row.movie_id === localId ? { ...row, movie_id: serverRow.id } : row
+        );
+      setVotes(remapMovieId);
+      setRatings(remapMovieId);
+    }
   };
 
-  const addMovie = async () => {
-    if (!newMovie.title.trim()) return;
+  const isReplayingRef = useRef(false);
 
-    const movieToAdd = {
-      title: newMovie.title,
-      genre: newMovie.genre,
-      runtime: newMovie.runtime,
-      added_by: newMovie.addedBy,
-      priority: newMovie.priority,
-      poster_url: newMovie.posterUrl,
-      tmdb_id: newMovie.tmdbId,
-      release_year: newMovie.releaseYear,
-      created_at: new Date().toISOString(),
-    };
+  const syncPendingChanges = async () => {
+    if (isReplayingRef.current || !hasFreshSession) return;
+    isReplayingRef.current = true;
 
-    const { data, error } = await supabase
-      .from("movies")
-      .insert([movieToAdd])
-      .select();
+    const userId = currentUser?.id;
+    const { stopped } = await replayMutations({
+      client: supabase,
+      store: {
+        readMutations: () => readMutations(userId),
+        replaceMutation,
+        removeMutation,
+      },
+      onRemap: replaceLocalId,
+      onConflict: (conflict) =>
+        setSyncNotices((current) => [
+          ...current,
+          describeSyncConflict(conflict),
+        ]),
+    });
 
-    if (error) {
-      setError("Failed to add movie");
+    const remaining = await readMutations(userId);
+    pendingSyncRef.current = remaining.length;
+    setPendingSyncCount(remaining.length);
+    isReplayingRef.current = false;
+    if (stopped) return;
+    // Writes made during the replay were queued behind it; send them too.
+    if (remaining.length > 0) {
+      syncPendingChangesRef.current();
     } else {
-      setMovies([...movies, data[0]]);
-      setNewMovie({
-        title: "",
-        genre: "",
-        runtime: "",
-        addedBy: "",
-        priority: "medium",
-        posterUrl: "",
-        tmdbId: "",
-        releaseYear: "",
-      });
-      setShowAddForm(false);
+      loadMoviesRef.current({ background: true });
     }
   };
 
-  const removeMovie = async (id) => {
-    const { error } = await supabase.from("movies").delete().eq("id", id);
+  const syncPendingChangesRef = useRef(syncPendingChanges);
+  syncPendingChangesRef.current = syncPendingChanges;
 
-    if (error) {
-      setError("Failed to remove movie");
-    } else {
-      setMovies(movies.filter((movie) => movie.id !== id));
+  // Send anything queued from an earlier visit, and whatever piled up while
+  // offline once we're back (or once a stale session has been refreshed).
+  useEffect(() => {
+    if (isOnline && hasFreshSession) syncPendingChangesRef.current();
+  }, [isOnline, hasFreshSession]);
+
+  // The browser can report being online while Supabase is unreachable, so
+  // keep retrying for as long as anything is waiting.
+  useEffect(() => {
+    if (pendingSyncCount === 0 || !isOnline || !hasFreshSession) {
+      return undefined;
     }
-  };
+    const timer = setInterval(
+      () => syncPendingChangesRef.current(),
+      SYNC_RETRY_INTERVAL_MS
+    );
+    return () => clearInterval(timer);
+  }, [pendingSyncCount, isOnline, hasFreshSession]);
 
-  const nextMovie = movies[0];
-  const upcomingMovies = movies.slice(1);
+  useEffect(() => {
+    readMutations(currentUser?.id).then((queued) => {
+      pendingSyncRef.current = queued.length;
+      setPendingSyncCount(queued.length);
+    });
+  }, [currentUser?.id]);
 
-  const getPriorityIndicator = (priority) => {
-    const colors = {
-      high: "rgba(185, 28, 28, 0.6)",
-      medium: "rgba(161, 98, 7, 0.6)",
-      low: "rgba(21, 128, 61, 0.6)",
-      default: "rgba(55, 65, 81, 0.6)",
+  useEffect(() => {
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY || activeListId === null) {
+      return undefined;
+    }
+
+    let wasOffline = false;
+    return subscribeToTable({
+      url: SUPABASE_URL,
+      apiKey: SUPABASE_ANON_KEY,
+      getAccessToken: () => sessionRef.current?.access_token,
+      table: "movies",
+      filter: `list_id=eq.${activeListId}`,
+      onChange: applyRowChange(setMovies),
+      onStatus: (status) => {
+        setSyncStatus(status);
+        if (status === "offline") {
+          wasOffline = true;
+        } else if (status === "live" && wasOffline) {
+          wasOffline = false;
+          if (pendingSyncRef.current > 0) syncPendingChangesRef.current();
+          loadMoviesRef.current({ background: true });
+        }
+      },
+    });
+  }, [SUPABASE_URL, SUPABASE_ANON_KEY, activeListId]);
+
+  // Votes and ratings have no list_id to filter on; row-level security limits
+  // them to lists we belong to, and rows for other lists are ignored.
+  useEffect(() => {
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY || activeListId === null) {
+      return undefined;
+    }
+
+    const unsubscribes = [
+      ["votes", setVotes],
+      ["ratings", setRatings],
+    ].map(([table, setRows]) => {
+      const applyChange = applyRowChange(setRows);
+      return subscribeToTable({
+        url: SUPABASE_URL,
+        apiKey: SUPABASE_ANON_KEY,
+        getAccessToken: () => sessionRef.current?.access_token,
+        table,
+        onChange: (change) => {
+          const movieId = (change.record || change.oldRecord)?.movie_id;
+          if (movieIdsRef.current.has(movieId) || change.type === "DELETE") {
+            applyChange(change);
+          }
+        },
+      });
+    });
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [SUPABASE_URL, SUPABASE_ANON_KEY, activeListId]);
+
+  // Without a socket, fall back to refetching the queue on an interval.
+  useEffect(() => {
+    if (syncStatus !== "offline") return undefined;
+    // Refetching is skipped while writes are pending, so send those first.
+    const timer = setInterval(() => {
+      if (pendingSyncRef.current > 0) syncPendingChangesRef.current();
+      loadMoviesRef.current({ background: true });
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [syncStatus]);
+
+  // Search once typing pauses. A newer query (or page) aborts the request
+  // still in flight, so a slow response can't replace fresher results.
+  useEffect(() => {
+    const query = movieSearch.trim();
+    if (query.length <= 2 || !tmdb) {
+      setSearchResults([]);
+      setSearchTotalPages(0);
+      setIsSearching(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(
+      async () => {
+        setIsSearching(true);
+        try {
+          const { results, totalPages } = await tmdb.search(query, {
+            mode: searchMode,
+            page: searchPage,
+            signal: controller.signal,
+          });
+          setSearchResults((current) =>
+            searchPage === 1 ? results : [...current, ...results]
+          );
+          setSearchTotalPages(totalPages);
+        } catch (error) {
+          if (isAbortError(error)) return;
+          if (searchPage === 1) setSearchResults([]);
+        }
+        setIsSearching(false);
+      },
+      searchPage === 1 ? SEARCH_DEBOUNCE_MS : 0
+    );
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
     };
-    return colors[priority] || colors.default;
+  }, [movieSearch, searchMode, searchPage, tmdb]);
+
+  useEffect(() => {
+    if (searchPage === 1) setHighlightedResult(-1);
+  }, [searchResults, searchPage]);
+
+  const updateMovieSearch = (query, mode = searchMode) => {
+    setMovieSearch(query);
+    setSearchMode(mode);
+    setSearchPage(1);
   };
 
-  const styles = {
-    container: {
-      minHeight: "100vh",
-      background: "linear-gradient(to bottom, #0f172a, #1e293b, #0f172a)",
-      padding: "32px 16px",
-      fontFamily:
-        '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-    },
-    header: {
-      textAlign: "center",
-      marginBottom: "48px",
-    },
+  const getMovieDetails = async (movieId) => {
+    if (!tmdb) return null;
+
+    try {
+      return await tmdb.getMovie(movieId);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const getTVDetails = async (seriesId) => {
+    if (!tmdb) return null;
+
+    try {
+      return await tmdb.getSeries(seriesId);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const getSeasonDetails = async (seriesId, seasonNumber) => {
+    if (!tmdb) return null;
+
+    try {
+      return await tmdb.getSeason(seriesId, seasonNumber);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (searchResults.length === 0) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlightedResult((index) =>
+        Math.min(index + 1, searchResults.length - 1)
+      );
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlightedResult((index) => Math.max(index - 1, 0));
+    } else if (e.key === "Enter" && highlightedResult >= 0) {
+      e.preventDefault();
+      selectTMDBMovie(searchResults[highlightedResult]);
+    } else if (e.key === "Escape") {
+      updateMovieSearch("");
+    }
+  };
+
+  useEffect(() => {
+    if (highlightedResult < 0) return;
+    document
+      .getElementById(`tmdb-result-${highlightedResult}`)
+      ?.scrollIntoView?.({ block: "nearest" });
+  }, [highlightedResult]);
+
+  const resetTVSelection = () => {
+    setTvDetails(null);
+    setTvEpisodes([]);
+  };
+
+  // Search results carry genre ids, date and score even if the details
+  // lookup fails.
+  const tmdbToMovieForm = (result, details, priority) => {
+    const metadata = metadataFromTmdb(details || result);
+    return {
+      ...EMPTY_MOVIE_FORM,
+      title: result.title || result.name,
+      genreIds: details ? metadata.genre_ids : result.genre_ids || [],
+      runtimeMinutes: metadata.runtime_minutes ?? "",
+      priority,
+      posterUrl: result.poster_path
+        ? `${TMDB_IMAGE_BASE_URL}${result.poster_path}`
+        : "",
+      tmdbId: result.id.toString(),
+      releaseDate: metadata.release_date || "",
+      originalLanguage: metadata.original_language || "",
+      voteAverage: metadata.vote_average,
+      mediaType: result.media_type === "tv" ? "tv" : "movie",
+      network: details?.networks?.map((n) => n.name).join(", ") || "",
+    };
+  };
+
+  const selectTMDBSeries = async (series) => {
+    setIsFetchingDetails(true);
+    const seriesDetails = await getTVDetails(series.id);
+    setIsFetchingDetails(false);
+
+    setTvDetails(seriesDetails);
+    setTvEpisodes([]);
+    setNewMovie(
+      tmdbToMovieForm(
+        { ...series, media_type: "tv" },
+        seriesDetails,
+        newMovie.priority
+      )
+    );
+    setSearchResults([]);
+    setMovieSearch("");
+  };
+
+  // Narrows a queued series down to one season; "" goes back to the whole
+  // series.
+  const selectSeason = async (seasonNumber) => {
+    const season = tvDetails?.seasons?.find(
+      (s) => String(s.season_number) === String(seasonNumber)
+    );
+    setTvEpisodes([]);
+    setNewMovie((current) => ({
+      ...current,
+      seasonNumber,
+      episodeNumber: "",
+      releaseDate: season?.air_date || current.releaseDate,
+    }));
+    if (seasonNumber === "") return;
+
+    const seasonDetails = await getSeasonDetails(tvDetails.id, seasonNumber);
+    setTvEpisodes(seasonDetails?.episodes || []);
+  };
+
+  const selectEpisode = (episodeNumber) => {
+    const episode = tvEpisodes.find(
+      (e) => String(e.episode_number) === String(episodeNumber)
+    );
+    setNewMovie((current) => ({
+      ...current,
+      episodeNumber,
+      runtimeMinutes: episode?.runtime || current.runtimeMinutes,
+      releaseDate: episode?.air_date || current.releaseDate,
+    }));
+  };
+
+  const selectTMDBMovie = async (movie) => {
+    if (movie.media_type === "tv") {
+      selectTMDBSeries(movie);
+      return;
+    }
+    resetTVSelection();
+
+    setIsFetchingDetails(true);
+    const movieDetails = await getMovieDetails(movie.id);
+    setIsFetchingDetails(false);
+
+    setNewMovie(tmdbToMovieForm(movie, movieDetails, newMovie.priority));
+    setSearchResults([]);
+    setMovieSearch("");
+  };
+
+  // A new `movies` row for the active list from add-form style `values`.
+  const buildMovieRow = (values, position) => ({
+    list_id: activeListId,
+    title: values.title,
+    ...toMetadataColumns(values),
+    original_language: values.originalLanguage || null,
+    vote_average: values.voteAverage,
+    added_by: displayName,
+    user_id: currentUser.id,
+    priority: values.priority,
+    poster_url: values.posterUrl,
+    tmdb_id: values.tmdbId,
+    media_type: values.mediaType,
+    season_number: toOptionalInteger(values.seasonNumber),
+    episode_number: toOptionalInteger(values.episodeNumber),
+    network: values.network || null,
+    // Only a year is known for titles imported without a TMDB match; the
+    // old release_year column is read as a fallback for exactly that.
+    release_year: values.releaseYear || null,
+    position,
+    created_at: new Date().toISOString(),
+  });
+
+  // Adds the add form's movie, or `values` built elsewhere (suggestions),
+  // leaving the form alone.
+  const addMovie = async (values = newMovie) => {
+    if (!values.title.trim() || !activeListId || !currentUser) return;
+
+    const movieToAdd = buildMovieRow(
+      values,
+      getPositionBetween(queuedMovies[queuedMovies.length - 1], undefined)
+    );
+
+    const { data, error } = await runMutation({
+      table: "movies",
+      type: "insert",
+      row: movieToAdd,
+    });
+
+    if (error) {
+      setError("Failed to add movie");
+    } else {
+      setMovies((current) =>
+        current.some((movie) => movie.id === data[0].id)
+          ? current
+          : [...current, data[0]]
+      );
+      if (values === newMovie) {
+        setNewMovie(EMPTY_MOVIE_FORM);
+        resetTVSelection();
+        setShowAddForm(false);
+      }
+    }
+  };
+
+  // Raises the priority of the entry the add form would have duplicated,
+  // instead of inserting a copy.
+  const bumpPriority = async (movie) => {
+    const changes = {
+      priority: getBumpedPriority(movie.priority, newMovie.priority),
+    };
+    const previousMovies = movies;
+    setMovies(
+      movies.map((m) => (m.id === movie.id ? { ...m, ...changes } : m))
+    );
+
+    const { error } = await runMutation({
+      table: "movies",
+      type: "update",
+      id: movie.id,
+      changes,
+      base: pickFields(movie, ["priority"]),
+    });
+
+    if (error) {
+      setError("Failed to update movie");
+      setMovies(previousMovies);
+    } else {
+      setNewMovie(EMPTY_MOVIE_FORM);
+      resetTVSelection();
+      setShowAddForm(false);
+    }
+  };
+
+  const toggleImport = () => {
+    importAbortRef.current?.abort();
+    setShowImport(!showImport);
+    setImportRows(null);
+    setImportProgress(null);
+  };
+
+  // Each row keeps every candidate so the review step can switch between
+  // them; `choice` is a candidate index, "typed" (as written in the file) or
+  // "skip". Ambiguous rows start unchosen ("").
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file || !tmdb) return;
+
+    const { data, error } = parseImportFile(await file.text());
+    if (error) {
+      setError(`Couldn't read ${file.name}: ${error.message}`);
+      return;
+    }
+
+    // Cancelling (or picking another file) abandons the run in flight.
+    importAbortRef.current?.abort();
+    const controller = new AbortController();
+    importAbortRef.current = controller;
+
+    setImportRows(null);
+    setImportProgress({ done: 0, total: data.entries.length });
+    const matches = await matchImportEntries({
+      entries: data.entries,
+      // Rows not known to be films are looked up among series too.
+      searchTitles: async (entry) =>
+        (
+          await tmdb.search(entry.title, {
+            mode: entry.mediaType === "movie" ? "movie" : "multi",
+            signal: controller.signal,
+          })
+        ).results,
+      findByImdbId: tmdb.findByImdbId,
+      onProgress: (progress) =>
+        !controller.signal.aborted && setImportProgress(progress),
+      signal: controller.signal,
+    });
+    if (!matches) return;
+    setImportProgress(null);
+    setImportRows(
+      matches.map((match, index) => ({
+        ...match,
+        id: index,
+        choice:
+          match.status === "matched"
+            ? "0"
+            : match.status === "ambiguous"
+              ? ""
+              : "skip",
+      }))
+    );
+  };
+
+  const setImportChoice = (id, choice) =>
+    setImportRows((rows) =>
+      rows.map((row) => (row.id === id ? { ...row, choice } : row))
+    );
+
+  const getImportValues = (row) => {
+    if (row.choice === "typed") {
+      return {
+        ...EMPTY_MOVIE_FORM,
+        title: row.entry.title,
+        releaseYear: row.entry.year,
+      };
+    }
+    const candidate = row.candidates[row.choice];
+    return candidate ? tmdbToMovieForm(candidate, null, "medium") : null;
+  };
+
+  // One insert for every confirmed row, through runMutation so an import made
+  // offline is queued like any other add. Rows already queued, or repeated
+  // further up the file, are left out.
+  const confirmImport = async () => {
+    const rowsToAdd = [];
+    let position = getPositionBetween(
+      queuedMovies[queuedMovies.length - 1],
+      undefined
+    );
+    importPlan.forEach(({ values, duplicate }) => {
+      if (!values || duplicate) return;
+      const row = buildMovieRow(values, position);
+      if (findDuplicate(rowsToAdd, row)) return;
+      rowsToAdd.push(row);
+      position += 1;
+    });
+    if (rowsToAdd.length === 0) return;
+
+    setIsImporting(true);
+    const { data, error } = await runMutation({
+      table: "movies",
+      type: "insert",
+      rows: rowsToAdd,
+    });
+    setIsImporting(false);
+
+    if (error) {
+      setError("Failed to import movies");
+    } else {
+      setMovies((current) => [
+        ...current,
+        ...data.filter((movie) => !current.some((m) => m.id === movie.id)),
+      ]);
+      setImportRows(null);
+      setShowImport(false);
+    }
+  };
+
+  const loadSuggestions = async () => {
+    if (!tmdb) return;
+    setIsLoadingSuggestions(true);
+    // Queued titles first, then the most recently watched.
+    const { data, error } = await collectSuggestions({
+      movies: [...queuedMovies, ...watchedMovies],
+      fetchRelated: tmdb.getRelatedTitles,
+    });
+    setIsLoadingSuggestions(false);
+
+    if (error) {
+      setError("Failed to load suggestions");
+    } else {
+      setSuggestions(data);
+    }
+  };
+
+  const toggleSuggestions = () => {
+    if (!showSuggestions) loadSuggestions();
+    setShowSuggestions(!showSuggestions);
+  };
+
+  const addSuggestion = async (suggestion) => {
+    const { result } = suggestion;
+    setAddingSuggestionKey(suggestion.key);
+    const details =
+      result.media_type === "tv"
+        ? await getTVDetails(result.id)
+        : await getMovieDetails(result.id);
+    await addMovie(tmdbToMovieForm(result, details, "medium"));
+    setAddingSuggestionKey(null);
+  };
+
+  const removeMovie = (id) => setConfirmRemovalId(id);
+
+  const commitRemoval = async (removal) => {
+    clearTimeout(removal.timer);
+    if (pendingRemovalRef.current === removal) {
+      pendingRemovalRef.current = null;
+      setPendingRemoval(null);
+    }
+
+    const { error } = await runMutation({
+      table: "movies",
+      type: "delete",
+      id: removal.movie.id,
+      base: pickFields(removal.movie, MOVIE_DETAIL_FIELDS),
+    });
+
+    if (error) {
+      setError("Failed to remove movie");
+      setMovies((current) => [...current, removal.movie]);
+    }
+  };
+
+  // The row is hidden straight away but only deleted once the undo toast
+  // times out, so "Undo" never has to re-create it.
+  const confirmRemoval = () => {
+    const movie = movies.find((m) => m.id === confirmRemovalId);
+    setConfirmRemovalId(null);
+    if (!movie) return;
+
+    if (pendingRemovalRef.current) commitRemoval(pendingRemovalRef.current);
+
+    const removal = { movie };
+    removal.timer = setTimeout(() => commitRemoval(removal), UNDO_TIMEOUT_MS);
+    pendingRemovalRef.current = removal;
+    setPendingRemoval(removal);
+    setMovies((current) => current.filter((m) => m.id !== movie.id));
+  };
+
+  const undoRemoval = () => {
+    const removal = pendingRemovalRef.current;
+    if (!removal) return;
+    clearTimeout(removal.timer);
+    pendingRemovalRef.current = null;
+    setPendingRemoval(null);
+    setMovies((current) => [...current, removal.movie]);
+  };
+
+  const commitRemovalRef = useRef(commitRemoval);
+  commitRemovalRef.current = commitRemoval;
+
+  // Don't lose a pending delete when the page is closed or the list changes.
+  useEffect(() => {
+    const flush = () => {
+      if (pendingRemovalRef.current) {
+        commitRemovalRef.current(pendingRemovalRef.current);
+      }
+    };
+    window.addEventListener("pagehide", flush);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      flush();
+    };
+  }, [activeListId]);
+
+  const updateMemberRole = async (member, role) => {
+    const previousMembers = listMembers;
+    setListMembers(
+      listMembers.map((m) => (m.id === member.id ? { ...m, role } : m))
+    );
+
+    const { error } = await supabase
+      .from("list_members")
+      .update({ role })
+      .eq("id", member.id);
+
+    if (error) {
+      setError("Failed to change member role");
+      setListMembers(previousMembers);
+    }
+  };
+
+  const joinList = async () => {
+    const { data, error } = await supabase
+      .from("list_members")
+      .insert([
+        {
+          list_id: activeListId,
+          user_id: currentUser.id,
+          display_name: displayName,
+          role: "viewer",
+        },
+      ])
+      .select();
+
+    if (error) {
+      setError("Failed to join list");
+    } else {
+      setListMembers([...listMembers, data[0]]);
+      // The queue wasn't readable before joining.
+      loadMoviesRef.current({ background: true });
+    }
+  };
+
+  const getWatchOffers = (movie) =>
+    watchProviders[getWatchProviderKey(movie)]?.[watchRegion] || null;
+
+  const isOnOurServices = (movie) =>
+    getOfferProviders(getWatchOffers(movie), WATCH_OFFER_KINDS[0].keys).some(
+      (provider) => ourServices.includes(provider.provider_id)
+    );
+
+  const sortByDisplayPriority = (providers, region) =>
+    [...providers].sort(
+      (a, b) =>
+        (a.display_priorities?.[region] ?? a.display_priority ?? 999) -
+        (b.display_priorities?.[region] ?? b.display_priority ?? 999)
+    );
+
+  const loadProviderCatalog = async (region) => {
+    if (!tmdb) return;
+    try {
+      const catalog = await tmdb.getProviderCatalog(region);
+      setProviderCatalog(sortByDisplayPriority(catalog, region));
+    } catch (error) {
+      setProviderCatalog([]);
+    }
+  };
+
+  const toggleServices = async () => {
+    if (showServices) {
+      setShowServices(false);
+      return;
+    }
+    setServicesDraft({ region: watchRegion, services: ourServices });
+    setShowServices(true);
+    loadProviderCatalog(watchRegion);
+    if (tmdb && watchRegions.length === 0) {
+      try {
+        const regions = await tmdb.getWatchRegions();
+        setWatchRegions(
+          [...regions].sort((a, b) =>
+            a.english_name.localeCompare(b.english_name)
+          )
+        );
+      } catch (error) {
+        setWatchRegions([]);
+      }
+    }
+  };
+
+  const changeServicesRegion = (region) => {
+    setServicesDraft({ ...servicesDraft, region });
+    loadProviderCatalog(region);
+  };
+
+  const toggleServiceDraft = (providerId) => {
+    const { services } = servicesDraft;
+    setServicesDraft({
+      ...servicesDraft,
+      services: services.includes(providerId)
+        ? services.filter((id) => id !== providerId)
+        : [...services, providerId],
+    });
+  };
+
+  const saveServices = async () => {
+    const changes = {
+      watch_region: servicesDraft.region,
+      streaming_services: servicesDraft.services,
+    };
+    const { data, error } = await supabase
+      .from("lists")
+      .update(changes)
+      .eq("id", activeListId);
+
+    if (error) {
+      setError("Failed to save streaming services");
+    } else {
+      setLists(
+        lists.map((list) =>
+          list.id === activeListId ? data?.[0] || { ...list, ...changes } : list
+        )
+      );
+      setShowServices(false);
+    }
+  };
+
+  // Saved when the time input loses focus, not on every keystroke.
+  const saveNightEndsAt = async () => {
+    const value = nightEndsDraft;
+    setNightEndsDraft(null);
+    if (!value || value === nightEndsAt) return;
+
+    const changes = { night_ends_at: value };
+    const previousLists = lists;
+    setLists(
+      lists.map((list) =>
+        list.id === activeListId ? { ...list, ...changes } : list
+      )
+    );
+
+    const { error } = await runMutation({
+      table: "lists",
+      type: "update",
+      id: activeListId,
+      changes,
+      base: pickFields(activeList, ["night_ends_at"]),
+    });
+
+    if (error) {
+      setError("Failed to save the end time");
+      setLists(previousLists);
+    }
+  };
+
+  // Re-checked every minute so a finished night hands NOW SHOWING on.
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const scheduleMovie = async (movie, scheduledAt) => {
+    const changes = { scheduled_at: scheduledAt };
+    const previousMovies = movies;
+    setMovies(
+      movies.map((m) => (m.id === movie.id ? { ...m, ...changes } : m))
+    );
+    setScheduleDraft(null);
+
+    const { error } = await runMutation({
+      table: "movies",
+      type: "update",
+      id: movie.id,
+      changes,
+      base: pickFields(movie, ["scheduled_at"]),
+    });
+
+    if (error) {
+      setError("Failed to schedule movie");
+      setMovies(previousMovies);
+    }
+  };
+
+  const toggleScheduling = (movie) =>
+    setScheduleDraft(
+      scheduleDraft?.id === movie.id
+        ? null
+        : { id: movie.id, value: toLocalInputValue(movie.scheduled_at) }
+    );
+
+  const getScheduleWarning = (movie, scheduledAt = movie.scheduled_at) =>
+    scheduledAt
+      ? getEndTimeWarning(
+          new Date(scheduledAt),
+          getRuntimeMinutes(movie),
+          nightEndsAt
+        )
+      : null;
+
+  const describeScheduleWarning = ({ endsAt, limit }) =>
+    `Runs until about ${formatTime(endsAt)}, past the ${formatTime(
+      limit
+    )} end time`;
+
+  const shiftCalendarMonth = (offset) =>
+    setCalendarMonth(({ year, month }) => {
+      const date = new Date(year, month + offset, 1);
+      return { year: date.getFullYear(), month: date.getMonth() };
+    });
+
+  const backfillCandidates = movies.filter(
+    (movie) => needsMetadataBackfill(movie) && !backfillAttempted.has(movie.id)
+  );
+
+  const runBackfill = async () => {
+    const candidates = backfillCandidates;
+    setBackfillProgress({ done: 0, total: candidates.length });
+
+    const { failed } = await backfillMetadata({
+      movies: candidates,
+      fetchDetails: (mediaType, id) =>
+        mediaType === "tv" ? tmdb.getSeries(id) : tmdb.getMovie(id),
+      saveChanges: async (movie, changes) => {
+        const result = await runMutation({
+          table: "movies",
+          type: "update",
+          id: movie.id,
+          changes,
+          base: pickFields(movie, Object.keys(changes)),
+        });
+        if (!result.error) {
+          setMovies((current) =>
+            current.map((m) => (m.id === movie.id ? { ...m, ...changes } : m))
+          );
+        }
+        return result;
+      },
+      onProgress: setBackfillProgress,
+    });
+
+    // TMDB may simply not have some fields; don't offer those titles again.
+    setBackfillAttempted(
+      (current) => new Set([...current, ...candidates.map((m) => m.id)])
+    );
+    setBackfillProgress(null);
+    if (failed > 0) {
+      setError(
+        `Couldn't fill in details for ${failed} ${
+          failed === 1 ? "title" : "titles"
+        }`
+      );
+    }
+  };
+
+  const movieDetailPath = (movie) =>
+    `${getBasePath()}movie/${movie.id}${window.location.search}`;
+
+  const openMovieDetail = (movie) => {
+    window.history.pushState(null, "", movieDetailPath(movie));
+    setDetailMovieId(String(movie.id));
+  };
+
+  const closeMovieDetail = () => {
+    window.history.pushState(
+      null,
+      "",
+      `${getBasePath()}${window.location.search}`
+    );
+    setDetailMovieId(null);
+  };
+
+  const startEditing = (movie) => {
+    setEditingId(movie.id);
+    setEditDraft(toMovieForm(movie));
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditDraft(EMPTY_MOVIE_FORM);
+  };
+
+  const saveEdit = async () => {
+    if (!editDraft.title.trim()) return;
+
+    const id = editingId;
+    const changes = {
+      title: editDraft.title,
+      ...toMetadataColumns(editDraft),
+      priority: editDraft.priority,
+      poster_url: editDraft.posterUrl,
+    };
+
+    const previousMovies = movies;
+    const base = pickFields(
+      movies.find((movie) => movie.id === id),
+      Object.keys(changes)
+    );
+    setMovies(
+      movies.map((movie) =>
+        movie.id === id ? { ...movie, ...changes } : movie
+      )
+    );
+    cancelEditing();
+
+    const { data, error } = await runMutation({
+      table: "movies",
+      type: "update",
+      id,
+      changes,
+      base,
+    });
+
+    if (error) {
+      setError("Failed to update movie");
+      setMovies(previousMovies);
+    } else if (data?.[0]) {
+      setMovies((current) =>
+        current.map((movie) => (movie.id === id ? data[0] : movie))
+      );
+    }
+  };
+
+  const getPositionBetween = (before, after) => {
+    if (!before && !after) return 1;
+    if (!before) return (after.position ?? 0) - 1;
+    if (!after) return (before.position ?? 0) + 1;
+    return ((before.position ?? 0) + (after.position ?? 0)) / 2;
+  };
+
+  const moveMovie = async (id, toIndex, focusAction = null) => {
+    const fromIndex = queuedMovies.findIndex((movie) => movie.id === id);
+    if (fromIndex === -1) return;
+
+    const remaining = queuedMovies.filter((movie) => movie.id !== id);
+    const targetIndex = Math.max(0, Math.min(toIndex, remaining.length));
+    if (targetIndex === fromIndex) return;
+
+    const position = getPositionBetween(
+      remaining[targetIndex - 1],
+      remaining[targetIndex]
+    );
+    const reordered = [...remaining];
+    reordered.splice(targetIndex, 0, { ...queuedMovies[fromIndex], position });
+
+    const previousMovies = movies;
+    pendingFocusRef.current = focusAction && { id, action: focusAction };
+    setMovies([...reordered, ...watchedMovies]);
+
+    const { error } = await runMutation({
+      table: "movies",
+      type: "update",
+      id,
+      changes: { position },
+      base: pickFields(queuedMovies[fromIndex], ["position"]),
+    });
+
+    if (error) {
+      setError("Failed to reorder movies");
+      setMovies(previousMovies);
+    }
+  };
+
+  const markWatched = async (id) => {
+    const watchedAt = new Date().toISOString();
+    const previousMovies = movies;
+    const base = pickFields(
+      movies.find((movie) => movie.id === id),
+      ["watched_at"]
+    );
+    setMovies(
+      movies.map((movie) =>
+        movie.id === id ? { ...movie, watched_at: watchedAt } : movie
+      )
+    );
+
+    const { error } = await runMutation({
+      table: "movies",
+      type: "update",
+      id,
+      changes: { watched_at: watchedAt },
+      base,
+    });
+
+    if (error) {
+      setError("Failed to mark movie as watched");
+      setMovies(previousMovies);
+    }
+  };
+
+  const unwatchMovie = async (id) => {
+    const changes = {
+      watched_at: null,
+      position: getPositionBetween(
+        queuedMovies[queuedMovies.length - 1],
+        undefined
+      ),
+    };
+    const previousMovies = movies;
+    const base = pickFields(
+      movies.find((movie) => movie.id === id),
+      Object.keys(changes)
+    );
+    setMovies(
+      movies.map((movie) =>
+        movie.id === id ? { ...movie, ...changes } : movie
+      )
+    );
+
+    const { error } = await runMutation({
+      table: "movies",
+      type: "update",
+      id,
+      changes,
+      base,
+    });
+
+    if (error) {
+      setError("Failed to return movie to the queue");
+      setMovies(previousMovies);
+    }
+  };
+
+  const getMovieRatings = (movieId) =>
+    ratings.filter((rating) => rating.movie_id === movieId);
+
+  const findMyRating = (movieId) =>
+    ratings.find(
+      (rating) =>
+        rating.movie_id === movieId && rating.user_id === currentUser?.id
+    );
+
+  const startRating = (movie) => {
+    const existing = findMyRating(movie.id);
+    setRatingMovieId(movie.id);
+    setRatingDraft({
+      stars: existing?.stars || 0,
+      note: existing?.note || "",
+    });
+  };
+
+  // Each member has one ratings row per movie; rating again updates it. Rows
+  // are per member, so people rating at the same time don't clash.
+  const saveRating = async () => {
+    if (!currentUser || !ratingDraft.stars) return;
+
+    const movieId = ratingMovieId;
+    const existing = findMyRating(movieId);
+    const fields = {
+      rated_by: displayName,
+      stars: ratingDraft.stars,
+      note: ratingDraft.note.trim(),
+      rated_at: new Date().toISOString(),
+    };
+    const previousRatings = ratings;
+    setRatingMovieId(null);
+
+    let result;
+    if (existing) {
+      setRatings(
+        ratings.map((rating) =>
+          rating.id === existing.id ? { ...rating, ...fields } : rating
+        )
+      );
+      result = await runMutation({
+        table: "ratings",
+        type: "update",
+        id: existing.id,
+        changes: fields,
+        base: pickFields(existing, ["stars", "note"]),
+      });
+    } else {
+      result = await runMutation({
+        table: "ratings",
+        type: "insert",
+        row: { movie_id: movieId, user_id: currentUser.id, ...fields },
+      });
+      if (!result.error) {
+        setRatings((current) =>
+          current.some((rating) => rating.id === result.data[0].id)
+            ? current
+            : [...current, result.data[0]]
+        );
+      }
+    }
+
+    if (result.error) {
+      setError("Failed to save rating");
+      setRatings(previousRatings);
+    }
+  };
+
+  const findMyVote = (movieId) =>
+    votes.find(
+      (vote) => vote.movie_id === movieId && vote.voter_id === currentUser?.id
+    );
+
+  // Voting the same way twice withdraws the vote; the other way flips it.
+  const castVote = async (movieId, value) => {
+    if (!currentUser) return;
+
+    const existing = findMyVote(movieId);
+    const previousVotes = votes;
+    let result;
+
+    if (existing && existing.value === value) {
+      setVotes(votes.filter((vote) => vote.id !== existing.id));
+      result = await runMutation({
+        table: "votes",
+        type: "delete",
+        id: existing.id,
+        base: pickFields(existing, ["value"]),
+      });
+    } else if (existing) {
+      setVotes(
+        votes.map((vote) =>
+          vote.id === existing.id ? { ...vote, value } : vote
+        )
+      );
+      result = await runMutation({
+        table: "votes",
+        type: "update",
+        id: existing.id,
+        changes: { value },
+        base: pickFields(existing, ["value"]),
+      });
+    } else {
+      result = await runMutation({
+        table: "votes",
+        type: "insert",
+        row: {
+          movie_id: movieId,
+          voter_id: currentUser.id,
+          voter: displayName,
+          value,
+        },
+      });
+      if (!result.error) {
+        setVotes((current) =>
+          current.some((vote) => vote.id === result.data[0].id)
+            ? current
+            : [...current, result.data[0]]
+        );
+      }
+    }
+
+    if (result.error) {
+      setError("Failed to save vote");
+      setVotes(previousVotes);
+    }
+  };
+
+  // Reordering remounts the poster frames, so put keyboard focus back on the
+  // control that was used (or the poster's nearest remaining control).
+  useEffect(() => {
+    const pending = pendingFocusRef.current;
+    if (!pending) return;
+    pendingFocusRef.current = null;
+
+    const controls = document.querySelectorAll(
+      `[data-reorder-id="${pending.id}"]`
+    );
+    const target =
+      Array.from(controls).find(
+        (control) => control.dataset.reorderAction === pending.action
+      ) || controls[0];
+    if (target) target.focus();
+  }, [movies]);
+
+  const handleDragStart = (e, id) => {
+    draggedIdRef.current = id;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(id));
+  };
+
+  const handleDragOver = (e, id) => {
+    if (draggedIdRef.current === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    if (dropTargetId !== id) setDropTargetId(id);
+  };
+
+  const handleDrop = (e, toIndex) => {
+    e.preventDefault();
+    const id = draggedIdRef.current;
+    draggedIdRef.current = null;
+    setDropTargetId(null);
+    if (id !== null) moveMovie(id, toIndex);
+  };
+
+  const handleDragEnd = () => {
+    draggedIdRef.current = null;
+    setDropTargetId(null);
+  };
+
+  // Watched rows stay in `movies` (loaded in position order) and are split
+  // out here so history survives without affecting the queue.
+  const queuedMovies = movies
+    .filter((movie) => !movie.watched_at)
+    .sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+  const watchedMovies = movies
+    .filter((movie) => movie.watched_at)
+    .sort((a, b) => new Date(b.watched_at) - new Date(a.watched_at));
+
+  // A night is a queued title with a `scheduled_at` time; it ends after the
+  // title's runtime when that's known.
+  const movieNightEvents = queuedMovies
+    .filter((movie) => movie.scheduled_at)
+    .map((movie) => {
+      const start = new Date(movie.scheduled_at);
+      const runtime = getRuntimeMinutes(movie);
+      return {
+        uid: `movie-${movie.id}@cinema-queue`,
+        start,
+        end: runtime ? new Date(start.getTime() + runtime * 60000) : null,
+        summary: `🎬 ${movie.title}${
+          formatEpisodeLabel(movie) ? ` ${formatEpisodeLabel(movie)}` : ""
+        }`,
+        description: movie.added_by ? `Suggested by ${movie.added_by}` : "",
+        url: new URL(movieDetailPath(movie), window.location.origin).href,
+      };
+    });
+
+  // Ratings live in their own table; export them with the titles they're for.
+  const withRatings = (movie) => ({
+    ...movie,
+    ratings: getMovieRatings(movie.id).map(
+      ({ rated_by, stars, note, rated_at }) => ({
+        rated_by,
+        stars,
+        note,
+        rated_at,
+      })
+    ),
+  });
+
+  const exportList = (kind) => {
+    const name = `${slugify(activeList?.name || "list")}-${
+      new Date().toISOString().split("T")[0]
+    }`;
+    if (kind === "queue") {
+      downloadFile(`${name}-queue.csv`, toCsv(orderedMovies), "text/csv");
+    } else if (kind === "history") {
+      downloadFile(
+        `${name}-history.csv`,
+        toCsv(watchedMovies.map(withRatings)),
+        "text/csv"
+      );
+    } else if (kind === "json") {
+      downloadFile(
+        `${name}.json`,
+        toJson({
+          list: activeList,
+          queue: orderedMovies,
+          history: watchedMovies.map(withRatings),
+        }),
+        "application/json"
+      );
+    } else if (kind === "ics") {
+      downloadFile(
+        `${name}-movie-nights.ics`,
+        toICalendar(movieNightEvents, {
+          calendarName: `${activeList?.name || "Cinema Queue"} movie nights`,
+        }),
+        "text/calendar"
+      );
+    }
+  };
+
+  const importPlan = (importRows || []).map((row) => {
+    const values = getImportValues(row);
+    return {
+      row,
+      values,
+      duplicate: values
+        ? findDuplicate(queuedMovies, {
+            title: values.title,
+            tmdb_id: values.tmdbId,
+            media_type: values.mediaType,
+            release_date: values.releaseDate,
+            release_year: values.releaseYear,
+          })
+        : null,
+    };
+  });
+  const importCount = importPlan.filter(
+    ({ values, duplicate }) => values && !duplicate
+  ).length;
+
+  // Checked as the form is filled in, so the warning shows before adding.
+  const duplicateMovie = showAddForm
+    ? findDuplicate(queuedMovies, {
+        title: newMovie.title,
+        tmdb_id: newMovie.tmdbId,
+        media_type: newMovie.mediaType,
+        season_number: toOptionalInteger(newMovie.seasonNumber),
+        episode_number: toOptionalInteger(newMovie.episodeNumber),
+        release_date: newMovie.releaseDate,
+      })
+    : null;
+
+  // Drops suggestions that have since been added (here or by someone else).
+  const listedTitleKeys = new Set(
+    movies.map(getWatchProviderKey).filter(Boolean)
+  );
+  const visibleSuggestions = suggestions.filter(
+    (suggestion) => !listedTitleKeys.has(suggestion.key)
+  );
+
+  // Average of each suggester's rated picks, best first.
+  const suggesterScores = Object.values(
+    watchedMovies.reduce((scores, movie) => {
+      const rating = getAverageRating(getMovieRatings(movie.id));
+      if (!rating || !movie.added_by) return scores;
+      if (!scores[movie.added_by]) {
+        scores[movie.added_by] = { name: movie.added_by, total: 0, count: 0 };
+      }
+      scores[movie.added_by].total += rating.average;
+      scores[movie.added_by].count += 1;
+      return scores;
+    }, {})
+  )
+    .map((score) => ({ ...score, average: score.total / score.count }))
+    .sort((a, b) => b.average - a.average);
+
+  useEffect(() => {
+    localStorage.setItem(QUEUE_ORDER_STORAGE_KEY, queueOrder);
+  }, [queueOrder]);
+
+  // Mirrors the row-level policies: viewers are read-only, members can add,
+  // vote and reorder, and only owners or a movie's suggester can edit or
+  // remove it.
+  const myRole =
+    listMembers.find((member) => member.user_id === currentUser?.id)?.role ||
+    null;
+  const canContribute = myRole === "owner" || myRole === "member";
+  const canManage = (movie) =>
+    myRole === "owner" || (canContribute && movie.user_id === currentUser?.id);
+
+  // Drag-and-drop and the move buttons only make sense against the persisted
+  // manual positions; the other orders are derived on every render.
+  const isManualOrder = queueOrder === "manual";
+  const queueOrderLabel = QUEUE_ORDERS.find(
+    (order) => order.value === queueOrder
+  )?.label;
+  const canReorder = isManualOrder && canContribute;
+  const netVotes = votes.reduce(
+    (totals, vote) => ({
+      ...totals,
+      [vote.movie_id]: (totals[vote.movie_id] || 0) + vote.value,
+    }),
+    {}
+  );
+  const orderedMovies = sortQueue(queuedMovies, queueOrder, netVotes);
+
+  const detailMovie = detailMovieId
+    ? movies.find((movie) => String(movie.id) === detailMovieId)
+    : null;
+  const detailKey = detailMovie ? getWatchProviderKey(detailMovie) : null;
+
+  useEffect(() => {
+    setTitleDetails(null);
+    if (!detailKey || !tmdb) return undefined;
+
+    let cancelled = false;
+    const [mediaType, id] = detailKey.split(":");
+    tmdb.getTitleDetails(mediaType, id).then(
+      (details) =>
+        !cancelled &&
+        setTitleDetails(summarizeTitleDetails(details, mediaType, watchRegion)),
+      () => !cancelled && setTitleDetails({ error: true })
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [detailKey, tmdb, watchRegion]);
+
+  const detailInfo = titleDetails?.error ? null : titleDetails;
+
+  // Offers cover every region, so each title is only fetched once; the
+  // client's cache makes repeat visits free.
+  const providerKeys = [
+    ...new Set(queuedMovies.map(getWatchProviderKey).filter(Boolean)),
+  ].join(",");
+
+  useEffect(() => {
+    if (!tmdb || !providerKeys) return;
+    providerKeys
+      .split(",")
+      .filter((key) => !requestedProvidersRef.current.has(key))
+      .forEach(async (key) => {
+        requestedProvidersRef.current.add(key);
+        const [mediaType, id] = key.split(":");
+        try {
+          const offers = await tmdb.getWatchProviders(mediaType, id);
+          setWatchProviders((current) => ({ ...current, [key]: offers }));
+        } catch (error) {
+          requestedProvidersRef.current.delete(key);
+        }
+      });
+  }, [providerKeys, tmdb]);
+  // The next scheduled night takes the NOW SHOWING slot from the top of the
+  // queue until it's over.
+  const nextNight = getNextNight(queuedMovies, now);
+  const nextMovie = nextNight || orderedMovies[0];
+  const upcomingMovies = orderedMovies.filter((movie) => movie !== nextMovie);
+  // moveMovie works in manual (position) order, which COMING SOON follows
+  // except for a night pulled up into NOW SHOWING.
+  const queueIndexOf = (movie) => queuedMovies.indexOf(movie);
+  const nowShowingLabel =
+    nextNight && new Date(nextNight.scheduled_at) > now
+      ? formatNight(nextNight.scheduled_at).toUpperCase()
+      : "NOW SHOWING";
+  const nightsByDay = groupNightsByDay(movies);
+  const calendarWeeks = getMonthGrid(calendarMonth.year, calendarMonth.month);
+
+  useEffect(() => {
+    writeQueueFilters(queueFilters);
+  }, [queueFilters]);
+
+  // A shared "on our services" link means nothing on a list that hasn't
+  // saved any services, so it's ignored rather than hiding everything.
+  const activeQueueFilters =
+    ourServices.length > 0 ? queueFilters : { ...queueFilters, services: "" };
+  const hasQueueFilters = QUEUE_FILTER_PARAMS.some(
+    (param) => activeQueueFilters[param]
+  );
+  // Moving earlier or later swaps with the neighbour you can see, not one the
+  // filters are hiding.
+  const visibleUpcomingMovies = upcomingMovies.filter((movie) =>
+    matchesQueueFilters(movie, activeQueueFilters, isOnOurServices)
+  );
+  const upcomingGenres = [
+    ...new Set(upcomingMovies.flatMap(getGenreNames)),
+  ].sort();
+  const upcomingSuggesters = [
+    ...new Set(upcomingMovies.map((movie) => movie.added_by).filter(Boolean)),
+  ].sort();
+  const upcomingDecades = [
+    ...new Set(
+      upcomingMovies.map(getReleaseDecade).filter((decade) => decade !== null)
+    ),
+  ].sort((a, b) => b - a);
+
+  useEffect(() => () => clearTimeout(spinTimeoutRef.current), []);
+
+  const pickerCandidates = upcomingMovies.filter((movie) => {
+    const runtime = getRuntimeMinutes(movie);
+    return (
+      (!pickerFilters.genre ||
+        getGenreNames(movie).includes(pickerFilters.genre)) &&
+      (!pickerFilters.maxRuntime ||
+        (runtime !== null && runtime <= Number(pickerFilters.maxRuntime))) &&
+      (!pickerFilters.suggester || movie.added_by === pickerFilters.suggester)
+    );
+  });
+  const pickerMovie = movies.find(
+    (movie) => movie.id === (pickerResultId ?? pickerHighlightId)
+  );
+
+  // The winner is chosen up front; the reel then slows down through the
+  // candidates and stops on it.
+  const spinPicker = () => {
+    if (pickerCandidates.length === 0 || isSpinning) return;
+
+    const winner = pickRandomMovie(pickerCandidates, pickerFilters.weighted);
+    const reducedMotion = window.matchMedia?.(
+      "(prefers-reduced-motion: reduce)"
+    ).matches;
+    const steps = reducedMotion ? 0 : 24;
+
+    setPickerResultId(null);
+    setIsSpinning(true);
+
+    const tick = (step) => {
+      if (step >= steps) {
+        setPickerHighlightId(winner.id);
+        setPickerResultId(winner.id);
+        setIsSpinning(false);
+        return;
+      }
+      setPickerHighlightId(pickerCandidates[step % pickerCandidates.length].id);
+      spinTimeoutRef.current = setTimeout(() => tick(step + 1), 50 + step * 12);
+    };
+    tick(0);
+  };
+
+  // NOW SHOWING is the top of Manual Order, so promoting switches to it (the
+  // picker says so first). A booked night holds the slot, so then it can't.
+  const promotePickerResult = () => {
+    if (!pickerResultId || nextNight) return;
+    setQueueOrder("manual");
+    moveMovie(pickerResultId, 0);
+    setPickerResultId(null);
+    setPickerHighlightId(null);
+    setShowPicker(false);
+  };
+
+  const getPriorityIndicator = (priority) => {
+    const colors = {
+      high: "rgba(185, 28, 28, 0.6)",
+      medium: "rgba(161, 98, 7, 0.6)",
+      low: "rgba(21, 128, 61, 0.6)",
+      default: "rgba(55, 65, 81, 0.6)",
+    };
+    return colors[priority] || colors.default;
+  };
+
+  const styles = {
+    container: {
+      minHeight: "100vh",
+      background: "linear-gradient(to bottom, #0f172a, #1e293b, #0f172a)",
+      padding: "32px 16px",
+      fontFamily:
+        '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    },
+    header: {
+      textAlign: "center",
+      marginBottom: "48px",
+    },
     mainTitle: {
       fontSize: "4rem",
       fontWeight: "bold",
@@ -388,6 +2549,280 @@ export default function App() {
       fontSize: "18px",
       fontWeight: "bold",
     },
+    dropTarget: {
+      outline: "2px dashed #60a5fa",
+      outlineOffset: "8px",
+      borderRadius: "8px",
+    },
+    reorderControls: {
+      display: "flex",
+      justifyContent: "center",
+      gap: "8px",
+      marginTop: "12px",
+    },
+    reorderButton: {
+      backgroundColor: "#1f2937",
+      color: "#d1d5db",
+      border: "1px solid #4b5563",
+      borderRadius: "6px",
+      padding: "4px 10px",
+      fontSize: "14px",
+      cursor: "pointer",
+    },
+    voteControls: {
+      display: "flex",
+      justifyContent: "center",
+      alignItems: "center",
+      gap: "12px",
+      marginTop: "12px",
+    },
+    voteButton: {
+      backgroundColor: "#1f2937",
+      color: "#9ca3af",
+      border: "1px solid #4b5563",
+      borderRadius: "6px",
+      width: "32px",
+      height: "28px",
+      cursor: "pointer",
+    },
+    voteButtonUp: {
+      backgroundColor: "rgba(21, 128, 61, 0.6)",
+      color: "white",
+    },
+    voteButtonDown: {
+      backgroundColor: "rgba(185, 28, 28, 0.6)",
+      color: "white",
+    },
+    voteCount: {
+      color: "#e5e7eb",
+      fontWeight: "bold",
+      minWidth: "24px",
+      textAlign: "center",
+    },
+    filterBar: {
+      display: "flex",
+      flexWrap: "wrap",
+      justifyContent: "center",
+      alignItems: "center",
+      gap: "8px",
+      marginBottom: "16px",
+    },
+    filterSearch: {
+      width: "220px",
+      padding: "8px 12px",
+      fontSize: "14px",
+    },
+    filterControl: {
+      width: "auto",
+      padding: "8px 12px",
+      fontSize: "14px",
+    },
+    filterRuntime: {
+      width: "96px",
+      padding: "8px 12px",
+      fontSize: "14px",
+    },
+    scheduleEditor: {
+      display: "flex",
+      flexDirection: "column",
+      gap: "8px",
+      margin: "8px 0",
+    },
+    scheduleWarning: {
+      fontSize: "13px",
+      color: "#fbbf24",
+    },
+    calendarHeader: {
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "space-between",
+      marginBottom: "16px",
+    },
+    calendarGrid: {
+      display: "grid",
+      gridTemplateColumns: "repeat(7, minmax(0, 1fr))",
+      gap: "4px",
+    },
+    calendarWeekday: {
+      fontSize: "12px",
+      color: "#9ca3af",
+      textAlign: "center",
+      paddingBottom: "4px",
+    },
+    calendarDay: {
+      minHeight: "72px",
+      backgroundColor: "#1f2937",
+      borderRadius: "6px",
+      padding: "4px",
+      display: "flex",
+      flexDirection: "column",
+      gap: "2px",
+    },
+    calendarDayOutside: {
+      opacity: 0.4,
+    },
+    calendarDayToday: {
+      outline: "1px solid #10b981",
+    },
+    calendarDayNumber: {
+      fontSize: "12px",
+      color: "#d1d5db",
+    },
+    calendarNight: {
+      backgroundColor: "#065f46",
+      color: "#d1fae5",
+      border: "none",
+      borderRadius: "4px",
+      padding: "2px 4px",
+      fontSize: "11px",
+      textAlign: "left",
+      cursor: "pointer",
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+      whiteSpace: "nowrap",
+    },
+    calendarNightWatched: {
+      backgroundColor: "#374151",
+      color: "#9ca3af",
+    },
+    importList: {
+      maxHeight: "360px",
+      overflowY: "auto",
+      margin: "16px 0",
+      display: "flex",
+      flexDirection: "column",
+      gap: "8px",
+    },
+    importRow: {
+      display: "grid",
+      gridTemplateColumns: "1fr 1fr auto",
+      gap: "12px",
+      alignItems: "center",
+      padding: "8px",
+      borderRadius: "6px",
+      backgroundColor: "#1f2937",
+      fontSize: "14px",
+      color: "#e5e7eb",
+    },
+    importRowNeedsReview: {
+      outline: "1px solid #f59e0b",
+    },
+    importEntry: {
+      overflow: "hidden",
+      textOverflow: "ellipsis",
+    },
+    importSelect: {
+      backgroundColor: "#111827",
+      color: "#e5e7eb",
+      border: "1px solid #374151",
+      borderRadius: "6px",
+      padding: "6px",
+      fontSize: "13px",
+      minWidth: 0,
+    },
+    importStatus: {
+      fontSize: "12px",
+      color: "#9ca3af",
+      whiteSpace: "nowrap",
+    },
+    duplicateWarning: {
+      backgroundColor: "rgba(245, 158, 11, 0.1)",
+      border: "1px solid #f59e0b",
+      borderRadius: "8px",
+      color: "#fde68a",
+      padding: "12px 16px",
+      marginTop: "16px",
+      fontSize: "14px",
+    },
+    duplicateWarningHint: {
+      margin: "8px 0 0",
+      fontSize: "13px",
+      color: "#d1d5db",
+    },
+    duplicateBumpButton: {
+      marginTop: "8px",
+      backgroundColor: "#f59e0b",
+      color: "#111827",
+      border: "none",
+      borderRadius: "6px",
+      padding: "6px 12px",
+      fontSize: "13px",
+      fontWeight: "600",
+      cursor: "pointer",
+    },
+    suggestionGrid: {
+      display: "grid",
+      gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))",
+      gap: "16px",
+    },
+    suggestionCard: {
+      display: "flex",
+      flexDirection: "column",
+      gap: "6px",
+    },
+    suggestionPoster: {
+      width: "100%",
+      aspectRatio: "2 / 3",
+      objectFit: "cover",
+      borderRadius: "8px",
+      backgroundColor: "#1f2937",
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      fontSize: "32px",
+    },
+    suggestionTitle: {
+      fontSize: "14px",
+      fontWeight: "600",
+      color: "#f3f4f6",
+    },
+    suggestionReason: {
+      fontSize: "12px",
+      color: "#9ca3af",
+      flex: 1,
+    },
+    suggestionAddButton: {
+      backgroundColor: "#065f46",
+      color: "#d1fae5",
+      border: "none",
+      borderRadius: "6px",
+      padding: "6px 10px",
+      fontSize: "13px",
+      cursor: "pointer",
+    },
+    genreChips: {
+      display: "flex",
+      flexWrap: "wrap",
+      gap: "6px",
+      marginBottom: "16px",
+    },
+    genreChip: {
+      backgroundColor: "#1f2937",
+      color: "#9ca3af",
+      border: "1px solid #374151",
+      borderRadius: "9999px",
+      padding: "4px 10px",
+      fontSize: "12px",
+      cursor: "pointer",
+    },
+    genreChipSelected: {
+      backgroundColor: "#065f46",
+      color: "#d1fae5",
+      borderColor: "#10b981",
+    },
+    filterCheckbox: {
+      display: "flex",
+      alignItems: "center",
+      gap: "6px",
+      color: "#d1d5db",
+      fontSize: "14px",
+    },
+    filterSummary: {
+      textAlign: "center",
+      color: "#9ca3af",
+      fontSize: "14px",
+      marginBottom: "24px",
+    },
     labelPlate: {
       background: "linear-gradient(to bottom, #374151, #111827)",
       color: "white",
@@ -455,6 +2890,13 @@ export default function App() {
       maxWidth: "672px",
       margin: "0 auto 48px auto",
     },
+    editForm: {
+      width: "100%",
+      maxWidth: "280px",
+      padding: "16px",
+      margin: "0 auto",
+      textAlign: "left",
+    },
     formTitle: {
       fontSize: "24px",
       fontWeight: "bold",
@@ -523,6 +2965,30 @@ export default function App() {
       color: "#9ca3af",
       fontSize: "14px",
     },
+    searchModes: {
+      display: "flex",
+      gap: "8px",
+      marginBottom: "12px",
+    },
+    mediaBadge: {
+      display: "inline-block",
+      backgroundColor: "#1e3a8a",
+      color: "#bfdbfe",
+      fontSize: "10px",
+      fontWeight: "bold",
+      letterSpacing: "0.05em",
+      padding: "2px 6px",
+      borderRadius: "4px",
+      marginRight: "8px",
+      verticalAlign: "middle",
+    },
+    mediaBadgeTv: {
+      backgroundColor: "#581c87",
+      color: "#e9d5ff",
+    },
+    tvPicker: {
+      marginBottom: "16px",
+    },
     formGrid: {
       display: "grid",
       gridTemplateColumns: "repeat(auto-fit, minmax(250px, 1fr))",
@@ -562,6 +3028,189 @@ export default function App() {
     secondaryButtonHover: {
       backgroundColor: "#6b7280",
     },
+    authStatus: {
+      color: "#9ca3af",
+      fontSize: "14px",
+      marginTop: "8px",
+    },
+    linkButton: {
+      background: "none",
+      border: "none",
+      color: "#60a5fa",
+      cursor: "pointer",
+      padding: 0,
+      fontSize: "inherit",
+    },
+    authFields: {
+      display: "flex",
+      flexDirection: "column",
+      gap: "12px",
+    },
+    authMessage: {
+      color: "#fbbf24",
+      fontSize: "14px",
+      marginTop: "12px",
+    },
+    dialogBackdrop: {
+      position: "fixed",
+      inset: 0,
+      backgroundColor: "rgba(0, 0, 0, 0.6)",
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      zIndex: 50,
+    },
+    dialog: {
+      margin: "0 16px",
+      maxWidth: "420px",
+      backgroundColor: "#1f2937",
+      textAlign: "center",
+    },
+    detailDialog: {
+      position: "relative",
+      margin: "0 16px",
+      maxWidth: "720px",
+      width: "100%",
+      maxHeight: "90vh",
+      overflowY: "auto",
+      backgroundColor: "#1f2937",
+      borderRadius: "12px",
+      boxShadow: "0 25px 50px -12px rgba(0, 0, 0, 0.5)",
+    },
+    detailBackdrop: {
+      width: "100%",
+      height: "240px",
+      objectFit: "cover",
+      display: "block",
+      borderRadius: "12px 12px 0 0",
+    },
+    detailClose: {
+      position: "absolute",
+      top: "12px",
+      right: "12px",
+      width: "36px",
+      height: "36px",
+      borderRadius: "9999px",
+      border: "none",
+      backgroundColor: "rgba(17, 24, 39, 0.8)",
+      color: "white",
+      fontSize: "22px",
+      cursor: "pointer",
+    },
+    detailBody: {
+      padding: "24px",
+      color: "#d1d5db",
+    },
+    detailTitle: {
+      color: "white",
+      fontSize: "28px",
+      fontWeight: "bold",
+      margin: "0 48px 8px 0",
+    },
+    detailFacts: {
+      color: "#9ca3af",
+      fontSize: "14px",
+      marginBottom: "8px",
+    },
+    detailRating: {
+      color: "#fbbf24",
+      fontSize: "14px",
+      marginBottom: "12px",
+    },
+    detailTagline: {
+      fontStyle: "italic",
+      color: "#9ca3af",
+      marginBottom: "12px",
+    },
+    detailOverview: {
+      lineHeight: 1.6,
+      marginBottom: "16px",
+    },
+    detailCredit: {
+      fontSize: "14px",
+      marginBottom: "8px",
+    },
+    trailerFrame: {
+      position: "relative",
+      paddingTop: "56.25%",
+      margin: "16px 0",
+    },
+    trailer: {
+      position: "absolute",
+      inset: 0,
+      width: "100%",
+      height: "100%",
+      border: "none",
+      borderRadius: "8px",
+    },
+    movieTitleLink: {
+      color: "inherit",
+      textDecoration: "none",
+    },
+    dangerButton: {
+      backgroundColor: "#dc2626",
+    },
+    toast: {
+      position: "fixed",
+      bottom: "24px",
+      left: "50%",
+      transform: "translateX(-50%)",
+      display: "flex",
+      gap: "16px",
+      alignItems: "center",
+      backgroundColor: "#111827",
+      color: "#e5e7eb",
+      border: "1px solid #374151",
+      borderRadius: "8px",
+      padding: "12px 20px",
+      boxShadow: "0 10px 15px -3px rgba(0, 0, 0, 0.3)",
+      zIndex: 40,
+    },
+    listPicker: {
+      display: "flex",
+      justifyContent: "center",
+      alignItems: "center",
+      gap: "8px",
+      marginTop: "16px",
+    },
+    syncStatus: {
+      color: "#6b7280",
+      fontSize: "12px",
+      marginTop: "8px",
+    },
+    syncNotices: {
+      maxWidth: "480px",
+      margin: "12px auto 0",
+      padding: "8px 12px",
+      backgroundColor: "#1f2937",
+      border: "1px solid #b45309",
+      borderRadius: "8px",
+    },
+    syncNotice: {
+      color: "#fbbf24",
+      fontSize: "13px",
+      margin: "4px 0",
+    },
+    orderToggle: {
+      display: "flex",
+      justifyContent: "center",
+      gap: "8px",
+      marginTop: "16px",
+    },
+    orderButton: {
+      backgroundColor: "#1f2937",
+      color: "#9ca3af",
+      border: "1px solid #374151",
+      borderRadius: "9999px",
+      padding: "6px 16px",
+      fontSize: "14px",
+      cursor: "pointer",
+    },
+    orderButtonActive: {
+      backgroundColor: "#374151",
+      color: "#e5e7eb",
+      borderColor: "#6b7280",
+    },
     sectionTitle: {
       fontSize: "32px",
       fontWeight: "bold",
@@ -578,6 +3227,152 @@ export default function App() {
       maxWidth: "1200px",
       margin: "0 auto",
     },
+    pickerCheckbox: {
+      display: "flex",
+      alignItems: "center",
+      gap: "8px",
+      color: "#d1d5db",
+      fontSize: "14px",
+    },
+    pickerReel: {
+      minHeight: "160px",
+      display: "flex",
+      flexDirection: "column",
+      alignItems: "center",
+      justifyContent: "center",
+      marginTop: "24px",
+      padding: "16px",
+      backgroundColor: "rgba(17, 24, 39, 0.5)",
+      border: "1px solid #374151",
+      borderRadius: "8px",
+    },
+    pickerPoster: {
+      width: "80px",
+      height: "120px",
+      objectFit: "cover",
+      borderRadius: "4px",
+      marginBottom: "12px",
+    },
+    historyList: {
+      maxWidth: "672px",
+      margin: "0 auto",
+    },
+    historyItem: {
+      padding: "12px",
+      backgroundColor: "rgba(31, 41, 55, 0.5)",
+      border: "1px solid #374151",
+      borderRadius: "8px",
+      marginBottom: "8px",
+    },
+    historyRow: {
+      display: "flex",
+      alignItems: "center",
+      gap: "12px",
+    },
+    ratingSummary: {
+      color: "#fbbf24",
+      fontSize: "14px",
+      marginTop: "4px",
+    },
+    labelRating: {
+      color: "#fbbf24",
+      fontSize: "14px",
+      marginTop: "4px",
+      letterSpacing: "0.05em",
+    },
+    reviewList: {
+      listStyle: "none",
+      margin: "12px 0 0 60px",
+      padding: 0,
+      color: "#d1d5db",
+      fontSize: "14px",
+    },
+    reviewItem: {
+      margin: "4px 0",
+    },
+    reviewStars: {
+      color: "#fbbf24",
+    },
+    ratingForm: {
+      display: "flex",
+      flexDirection: "column",
+      gap: "12px",
+      marginTop: "12px",
+      paddingTop: "12px",
+      borderTop: "1px solid #374151",
+    },
+    starPicker: {
+      display: "flex",
+      gap: "4px",
+    },
+    starButton: {
+      background: "none",
+      border: "none",
+      fontSize: "28px",
+      cursor: "pointer",
+      padding: 0,
+    },
+    watchOffers: {
+      marginTop: "8px",
+    },
+    watchOfferRow: {
+      display: "flex",
+      alignItems: "center",
+      flexWrap: "wrap",
+      gap: "4px",
+      marginTop: "4px",
+    },
+    watchOfferLabel: {
+      color: "#9ca3af",
+      fontSize: "12px",
+      width: "44px",
+    },
+    providerLogo: {
+      width: "24px",
+      height: "24px",
+      borderRadius: "6px",
+      display: "block",
+    },
+    providerLogoOurs: {
+      boxShadow: "0 0 0 2px #10b981",
+    },
+    serviceGrid: {
+      display: "grid",
+      gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))",
+      gap: "8px",
+      maxHeight: "320px",
+      overflowY: "auto",
+    },
+    serviceOption: {
+      display: "flex",
+      alignItems: "center",
+      gap: "8px",
+      color: "#d1d5db",
+      fontSize: "14px",
+      cursor: "pointer",
+    },
+    providerAttribution: {
+      color: "#6b7280",
+      fontSize: "12px",
+      marginTop: "12px",
+    },
+    scoreRow: {
+      display: "flex",
+      justifyContent: "space-between",
+      color: "#d1d5db",
+      padding: "8px 12px",
+      borderBottom: "1px solid #374151",
+    },
+    historyPosterPlaceholder: {
+      width: "48px",
+      height: "64px",
+      borderRadius: "4px",
+      backgroundColor: "#1f2937",
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      opacity: 0.5,
+    },
     emptyState: {
       textAlign: "center",
       color: "#6b7280",
@@ -604,158 +3399,1542 @@ export default function App() {
     },
   };
 
+  const renderMovieFields = (values, setValues) => (
+    <>
+      <input
+        type="text"
+        placeholder="Movie Title *"
+        value={values.title}
+        onChange={(e) => setValues({ ...values, title: e.target.value })}
+        style={{ ...styles.input, marginBottom: "16px" }}
+      />
+
+      <input
+        type="text"
+        placeholder="TMDB Poster URL (auto-filled from search)"
+        value={values.posterUrl}
+        onChange={(e) => setValues({ ...values, posterUrl: e.target.value })}
+        style={{
+          ...styles.input,
+          marginBottom: "16px",
+          fontSize: "14px",
+        }}
+      />
+
+      <div style={styles.genreChips} role="group" aria-label="Genres">
+        {Object.entries(
+          values.mediaType === "tv" ? TV_GENRES : MOVIE_GENRES
+        ).map(([id, name]) => {
+          const genreId = Number(id);
+          const isSelected = values.genreIds.includes(genreId);
+          return (
+            <button
+              key={id}
+              type="button"
+              onClick={() =>
+                setValues({
+                  ...values,
+                  genreIds: isSelected
+                    ? values.genreIds.filter((g) => g !== genreId)
+                    : [...values.genreIds, genreId],
+                })
+              }
+              aria-pressed={isSelected}
+              style={{
+                ...styles.genreChip,
+                ...(isSelected ? styles.genreChipSelected : {}),
+              }}
+            >
+              {name}
+            </button>
+          );
+        })}
+      </div>
+
+      <div style={styles.formGrid}>
+        <input
+          type="number"
+          min="0"
+          placeholder="Runtime (minutes)"
+          value={values.runtimeMinutes}
+          onChange={(e) =>
+            setValues({ ...values, runtimeMinutes: e.target.value })
+          }
+          style={styles.input}
+          aria-label="Runtime in minutes"
+        />
+
+        <input
+          type="date"
+          value={values.releaseDate}
+          onChange={(e) =>
+            setValues({ ...values, releaseDate: e.target.value })
+          }
+          style={styles.input}
+          aria-label="Release date"
+        />
+
+        <select
+          value={values.priority}
+          onChange={(e) => setValues({ ...values, priority: e.target.value })}
+          style={styles.input}
+        >
+          <option value="low">Low Priority</option>
+          <option value="medium">Medium Priority</option>
+          <option value="high">High Priority</option>
+        </select>
+      </div>
+    </>
+  );
+
+  // Rendered in place of a PosterFrame rather than inside it: PosterFrame is
+  // re-created on every render, which would drop input focus on each keystroke.
+  const renderEditForm = (isMain = false) => (
+    <div
+      style={{
+        ...styles.form,
+        ...styles.editForm,
+        ...(isMain ? { maxWidth: "672px" } : {}),
+      }}
+    >
+      <h3 style={styles.formTitle}>Edit Movie</h3>
+      {renderMovieFields(editDraft, setEditDraft)}
+      <div style={styles.buttonGrid}>
+        <button onClick={saveEdit} style={styles.primaryButton}>
+          Save
+        </button>
+        <button onClick={cancelEditing} style={styles.secondaryButton}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
   const PosterFrame = ({
     movie,
     label,
     isMain = false,
     onRemove = null,
+    onMoveEarlier = null,
+    onMoveLater = null,
+    onPromote = null,
+    onWatched = null,
+    onEdit = null,
+    onVote = null,
+    onSchedule = null,
     styled = undefined,
   }) => {
     const [isHovered, setIsHovered] = useState(false);
+    const offers = getWatchOffers(movie);
+
+    return (
+      <div
+        style={styled ?? styles.posterFrame}
+        onMouseEnter={() => setIsHovered(true)}
+        onMouseLeave={() => setIsHovered(false)}
+      >
+        <div style={styles.frameOuter}>
+          <div
+            style={{
+              ...styles.frameInner,
+              ...(isMain ? {} : styles.frameInnerSmall),
+              cursor: "pointer",
+            }}
+            onClick={() => openMovieDetail(movie)}
+          >
+            {movie.poster_url || movie.posterUrl ? (
+              <img
+                src={movie.poster_url || movie.posterUrl}
+                alt={movie.title}
+                style={styles.posterImage}
+              />
+            ) : (
+              <div style={styles.posterPlaceholder}>
+                <div
+                  style={{
+                    fontSize: "64px",
+                    opacity: 0.5,
+                    marginBottom: "8px",
+                  }}
+                >
+                  🎬
+                </div>
+                <p style={{ fontWeight: "500", marginBottom: "4px" }}>
+                  Poster Coming Soon
+                </p>
+                <p style={{ fontSize: "12px" }}>Use Movie API</p>
+              </div>
+            )}
+
+            <div
+              style={{
+                ...styles.priorityDot,
+                backgroundColor: getPriorityIndicator(movie.priority),
+              }}
+            ></div>
+
+            {onRemove && (
+              <button
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  onRemove(movie.id);
+                }}
+                style={
+                  isHovered ? styles.removeButtonVisible : styles.removeButton
+                }
+                onMouseEnter={(e) => {
+                  e.target.style.backgroundColor = "rgba(185, 28, 28, 1)";
+                  e.target.style.transform = "scale(1.1)";
+                }}
+                onMouseLeave={(e) => {
+                  e.target.style.backgroundColor = "rgba(220, 38, 38, 0.9)";
+                  e.target.style.transform = "scale(1)";
+                }}
+                title="Remove movie"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div style={styles.labelPlate}>
+          <div style={styles.labelText}>{label}</div>
+          {getAverageRating(getMovieRatings(movie.id)) && (
+            <div style={styles.labelRating}>
+              {formatRating(getAverageRating(getMovieRatings(movie.id)))}
+            </div>
+          )}
+        </div>
+
+        {onVote && (
+          <div style={styles.voteControls}>
+            <button
+              onClick={() => onVote(movie.id, 1)}
+              style={{
+                ...styles.voteButton,
+                ...(findMyVote(movie.id)?.value === 1
+                  ? styles.voteButtonUp
+                  : {}),
+              }}
+              aria-pressed={findMyVote(movie.id)?.value === 1}
+              aria-label={`Upvote ${movie.title}`}
+              title="Upvote"
+            >
+              ▲
+            </button>
+            <span style={styles.voteCount} aria-label="Net votes">
+              {netVotes[movie.id] || 0}
+            </span>
+            <button
+              onClick={() => onVote(movie.id, -1)}
+              style={{
+                ...styles.voteButton,
+                ...(findMyVote(movie.id)?.value === -1
+                  ? styles.voteButtonDown
+                  : {}),
+              }}
+              aria-pressed={findMyVote(movie.id)?.value === -1}
+              aria-label={`Downvote ${movie.title}`}
+              title="Downvote"
+            >
+              ▼
+            </button>
+          </div>
+        )}
+
+        {(onMoveEarlier ||
+          onMoveLater ||
+          onPromote ||
+          onWatched ||
+          onEdit ||
+          onSchedule) && (
+          <div style={styles.reorderControls}>
+            {onEdit && (
+              <button
+                onClick={() => onEdit(movie)}
+                style={styles.reorderButton}
+                aria-label={`Edit ${movie.title}`}
+                title="Edit movie"
+              >
+                ✎ Edit
+              </button>
+            )}
+            {onWatched && (
+              <button
+                onClick={() => onWatched(movie.id)}
+                style={styles.reorderButton}
+                aria-label={`Mark ${movie.title} as watched`}
+                title="Mark as watched"
+              >
+                ✓ Watched
+              </button>
+            )}
+            {onSchedule && (
+              <button
+                onClick={() => onSchedule(movie)}
+                style={styles.reorderButton}
+                aria-label={`Schedule ${movie.title}`}
+                aria-expanded={scheduleDraft?.id === movie.id}
+                title="Schedule a movie night"
+              >
+                📅
+              </button>
+            )}
+            {onPromote && (
+              <button
+                onClick={() => onPromote(movie.id)}
+                style={styles.reorderButton}
+                data-reorder-id={movie.id}
+                data-reorder-action="promote"
+                aria-label={`Make ${movie.title} now showing`}
+                title="Make now showing"
+              >
+                ★
+              </button>
+            )}
+            {onMoveEarlier && (
+              <button
+                onClick={() => onMoveEarlier(movie.id)}
+                style={styles.reorderButton}
+                data-reorder-id={movie.id}
+                data-reorder-action="earlier"
+                aria-label={`Move ${movie.title} earlier in the queue`}
+                title="Move earlier"
+              >
+                ◀
+              </button>
+            )}
+            {onMoveLater && (
+              <button
+                onClick={() => onMoveLater(movie.id)}
+                style={styles.reorderButton}
+                data-reorder-id={movie.id}
+                data-reorder-action="later"
+                aria-label={`Move ${movie.title} later in the queue`}
+                title="Move later"
+              >
+                ▶
+              </button>
+            )}
+          </div>
+        )}
+
+        {scheduleDraft?.id === movie.id && (
+          <div style={styles.scheduleEditor}>
+            <input
+              type="datetime-local"
+              value={scheduleDraft.value}
+              onChange={(e) =>
+                setScheduleDraft({ ...scheduleDraft, value: e.target.value })
+              }
+              style={styles.input}
+              aria-label={`Movie night for ${movie.title}`}
+            />
+            {getScheduleWarning(
+              movie,
+              fromLocalInputValue(scheduleDraft.value)
+            ) && (
+              <div style={styles.scheduleWarning} role="alert">
+                ⚠️{" "}
+                {describeScheduleWarning(
+                  getScheduleWarning(
+                    movie,
+                    fromLocalInputValue(scheduleDraft.value)
+                  )
+                )}
+              </div>
+            )}
+            <div style={styles.reorderControls}>
+              <button
+                onClick={() =>
+                  scheduleMovie(movie, fromLocalInputValue(scheduleDraft.value))
+                }
+                disabled={!scheduleDraft.value}
+                style={styles.reorderButton}
+              >
+                Save
+              </button>
+              {movie.scheduled_at && (
+                <button
+                  onClick={() => scheduleMovie(movie, null)}
+                  style={styles.reorderButton}
+                >
+                  Unschedule
+                </button>
+              )}
+              <button
+                onClick={() => setScheduleDraft(null)}
+                style={styles.reorderButton}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div style={styles.movieInfo}>
+          <h3 style={styles.movieTitle}>
+            <a
+              href={movieDetailPath(movie)}
+              onClick={(e) => {
+                e.preventDefault();
+                openMovieDetail(movie);
+              }}
+              style={styles.movieTitleLink}
+            >
+              {movie.title}
+            </a>
+            {getReleaseYear(movie) && (
+              <span style={styles.movieYear}> ({getReleaseYear(movie)})</span>
+            )}
+          </h3>
+          <div style={styles.movieDetails}>
+            {movie.scheduled_at && !movie.watched_at && (
+              <div style={styles.movieDetailItem}>
+                📅 {formatNight(movie.scheduled_at)}
+              </div>
+            )}
+            {!movie.watched_at && getScheduleWarning(movie) && (
+              <div style={styles.scheduleWarning}>
+                ⚠️ {describeScheduleWarning(getScheduleWarning(movie))}
+              </div>
+            )}
+            {movie.media_type === "tv" && (
+              <div style={styles.movieDetailItem}>
+                📺 {formatEpisodeLabel(movie) || "Full series"}
+                {movie.network && ` · ${movie.network}`}
+              </div>
+            )}
+            {getGenreNames(movie).length > 0 && (
+              <div style={styles.movieDetailItem}>
+                🎭 {getGenreNames(movie).join(", ")}
+              </div>
+            )}
+            {getRuntimeMinutes(movie) > 0 && (
+              <div style={styles.movieDetailItem}>
+                ⏱️ {formatRuntime(getRuntimeMinutes(movie))}
+                {movie.media_type === "tv" &&
+                  movie.episode_number == null &&
+                  " per episode"}
+              </div>
+            )}
+            {movie.vote_average > 0 && (
+              <div style={styles.movieDetailItem}>
+                ⭐ {formatVoteAverage(movie.vote_average)}
+              </div>
+            )}
+            {movie.added_by && (
+              <div style={styles.movieDetailItem}>👤 {movie.added_by}</div>
+            )}
+          </div>
+          {offers && (
+            <div style={styles.watchOffers}>
+              {WATCH_OFFER_KINDS.map(({ label, keys }) => {
+                const providers = getOfferProviders(offers, keys);
+                if (providers.length === 0) return null;
+                return (
+                  <div key={label} style={styles.watchOfferRow}>
+                    <span style={styles.watchOfferLabel}>{label}</span>
+                    {providers.map((provider) => (
+                      <a
+                        key={provider.provider_id}
+                        href={offers.link}
+                        target="_blank"
+                        rel="noreferrer"
+                        title={`${label}: ${provider.provider_name}`}
+                      >
+                        <img
+                          src={`https://image.tmdb.org/t/p/w45${provider.logo_path}`}
+                          alt={provider.provider_name}
+                          style={{
+                            ...styles.providerLogo,
+                            ...(ourServices.includes(provider.provider_id)
+                              ? styles.providerLogoOurs
+                              : {}),
+                          }}
+                        />
+                      </a>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
 
-    return (
-      <div
-        style={styled ?? styles.posterFrame}
-        onMouseEnter={() => setIsHovered(true)}
-        onMouseLeave={() => setIsHovered(false)}
-      >
-        <div style={styles.frameOuter}>
+  const movieToConfirm = movies.find((movie) => movie.id === confirmRemovalId);
+
+  return (
+    <div style={styles.container}>
+      {detailMovieId && (
+        <div style={styles.dialogBackdrop} onClick={closeMovieDetail}>
           <div
-            style={{
-              ...styles.frameInner,
-              ...(isMain ? {} : styles.frameInnerSmall),
-            }}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="movie-detail-title"
+            style={styles.detailDialog}
+            onClick={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.key === "Escape" && closeMovieDetail()}
           >
-            {movie.poster_url || movie.posterUrl ? (
+            {detailInfo?.backdropPath && (
               <img
-                src={movie.poster_url || movie.posterUrl}
-                alt={movie.title}
-                style={styles.posterImage}
+                src={`https://image.tmdb.org/t/p/w1280${detailInfo.backdropPath}`}
+                alt=""
+                style={styles.detailBackdrop}
               />
-            ) : (
-              <div style={styles.posterPlaceholder}>
-                <div
-                  style={{
-                    fontSize: "64px",
-                    opacity: 0.5,
-                    marginBottom: "8px",
-                  }}
+            )}
+            <button
+              onClick={closeMovieDetail}
+              style={styles.detailClose}
+              aria-label="Close"
+              autoFocus
+            >
+              ×
+            </button>
+            <div style={styles.detailBody}>
+              {!detailMovie ? (
+                <p id="movie-detail-title" style={styles.searchMovieDetails}>
+                  {loading
+                    ? "Loading movie..."
+                    : `That movie isn't on ${activeList?.name || "this list"}.`}
+                </p>
+              ) : (
+                <>
+                  <h2 id="movie-detail-title" style={styles.detailTitle}>
+                    {detailMovie.title}
+                    {getReleaseYear(detailMovie) && (
+                      <span style={styles.movieYear}>
+                        {" "}
+                        ({getReleaseYear(detailMovie)})
+                      </span>
+                    )}
+                  </h2>
+                  <p style={styles.detailFacts}>
+                    {[
+                      detailInfo?.certification,
+                      formatEpisodeLabel(detailMovie),
+                      getGenreNames(detailMovie).join(", "),
+                      formatRuntime(getRuntimeMinutes(detailMovie)),
+                      detailMovie.network,
+                      formatReleaseDate(detailMovie.release_date),
+                      formatLanguage(detailMovie.original_language),
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                  {detailInfo?.voteCount > 0 && (
+                    <p style={styles.detailRating}>
+                      TMDB ★ {detailInfo.voteAverage.toFixed(1)} / 10 (
+                      {detailInfo.voteCount} votes)
+                    </p>
+                  )}
+                  {detailInfo?.tagline && (
+                    <p style={styles.detailTagline}>{detailInfo.tagline}</p>
+                  )}
+                  {detailInfo?.overview && (
+                    <p style={styles.detailOverview}>{detailInfo.overview}</p>
+                  )}
+                  {detailInfo?.directors.length > 0 && (
+                    <p style={styles.detailCredit}>
+                      <strong>
+                        {detailMovie.media_type === "tv"
+                          ? "Created by"
+                          : "Directed by"}
+                      </strong>{" "}
+                      {detailInfo.directors.join(", ")}
+                    </p>
+                  )}
+                  {detailInfo?.cast.length > 0 && (
+                    <p style={styles.detailCredit}>
+                      <strong>Starring</strong>{" "}
+                      {detailInfo.cast
+                        .map((person) =>
+                          person.character
+                            ? `${person.name} (${person.character})`
+                            : person.name
+                        )
+                        .join(", ")}
+                    </p>
+                  )}
+                  {detailInfo?.trailerKey && (
+                    <div style={styles.trailerFrame}>
+                      <iframe
+                        src={`https://www.youtube-nocookie.com/embed/${detailInfo.trailerKey}`}
+                        title={`${detailMovie.title} trailer`}
+                        allow="encrypted-media; picture-in-picture; fullscreen"
+                        allowFullScreen
+                        style={styles.trailer}
+                      />
+                    </div>
+                  )}
+                  {detailMovie.tmdb_id && !titleDetails && TMDB_API_KEY && (
+                    <p style={styles.searchMovieDetails}>Loading details...</p>
+                  )}
+                  {titleDetails?.error && (
+                    <p style={styles.searchMovieDetails}>
+                      Couldn't load details from TMDB.
+                    </p>
+                  )}
+                  {!detailMovie.tmdb_id && (
+                    <p style={styles.searchMovieDetails}>
+                      This entry isn't linked to TMDB, so there's nothing more
+                      to show.
+                    </p>
+                  )}
+                  {detailMovie.added_by && (
+                    <p style={styles.detailCredit}>
+                      👤 Suggested by {detailMovie.added_by}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+      {movieToConfirm && (
+        <div style={styles.dialogBackdrop}>
+          <div
+            role="alertdialog"
+            aria-modal="true"
+            aria-labelledby="remove-dialog-title"
+            style={{ ...styles.form, ...styles.dialog }}
+            onKeyDown={(e) => e.key === "Escape" && setConfirmRemovalId(null)}
+          >
+            <h3 id="remove-dialog-title" style={styles.formTitle}>
+              Remove "{movieToConfirm.title}"?
+            </h3>
+            <p style={styles.searchMovieDetails}>
+              It will be taken out of the queue along with its votes.
+            </p>
+            <div style={styles.buttonGrid}>
+              <button
+                onClick={confirmRemoval}
+                style={{ ...styles.primaryButton, ...styles.dangerButton }}
+              >
+                Remove
+              </button>
+              <button
+                onClick={() => setConfirmRemovalId(null)}
+                style={styles.secondaryButton}
+                autoFocus
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {pendingRemoval && (
+        <div style={styles.toast} role="status">
+          Removed "{pendingRemoval.movie.title}"
+          <button onClick={undoRemoval} style={styles.linkButton}>
+            Undo
+          </button>
+        </div>
+      )}
+
+      <div style={{ maxWidth: "1200px", margin: "0 auto" }}>
+        <div style={styles.header}>
+          <h1 style={styles.mainTitle}>CINEMA QUEUE</h1>
+          <div style={styles.subtitle}>WHAT ARE WE WATCHING NEXT</div>
+          <p style={styles.urlText}>
+            Visit: <span style={styles.urlCode}>whatarewewatchingnext</span>
+          </p>
+          {currentUser && (
+            <p style={styles.authStatus}>
+              Signed in as <strong>{displayName}</strong> ·{" "}
+              <button onClick={handleSignOut} style={styles.linkButton}>
+                Sign out
+              </button>
+            </p>
+          )}
+          {SUPABASE_URL && currentUser && (lists.length > 0 || !loading) && (
+            <div style={styles.listPicker}>
+              {lists.length > 0 && (
+                <select
+                  value={activeList?.slug || ""}
+                  onChange={(e) => selectList(e.target.value)}
+                  style={{ ...styles.input, ...styles.filterControl }}
+                  aria-label="Watchlist"
                 >
-                  🎬
-                </div>
-                <p style={{ fontWeight: "500", marginBottom: "4px" }}>
-                  Poster Coming Soon
+                  {lists.map((list) => (
+                    <option key={list.id} value={list.slug}>
+                      {list.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {showNewList ? (
+                <>
+                  <input
+                    type="text"
+                    placeholder="List name"
+                    value={newListName}
+                    onChange={(e) => setNewListName(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && createList()}
+                    style={{ ...styles.input, ...styles.filterSearch }}
+                    aria-label="New list name"
+                    autoFocus
+                  />
+                  <button onClick={createList} style={styles.reorderButton}>
+                    Create
+                  </button>
+                  <button
+                    onClick={() => setShowNewList(false)}
+                    style={styles.reorderButton}
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={() => setShowNewList(true)}
+                  style={styles.reorderButton}
+                >
+                  ＋ New List
+                </button>
+              )}
+              {activeList && (
+                <button
+                  onClick={() => setShowMembers(!showMembers)}
+                  style={styles.reorderButton}
+                  aria-expanded={showMembers}
+                >
+                  👥 Members
+                </button>
+              )}
+              {activeList && (
+                <button
+                  onClick={toggleServices}
+                  style={styles.reorderButton}
+                  aria-expanded={showServices}
+                >
+                  📺 Services
+                </button>
+              )}
+              {activeList && (
+                <button
+                  onClick={() => setShowCalendar(!showCalendar)}
+                  style={styles.reorderButton}
+                  aria-expanded={showCalendar}
+                >
+                  📅 Calendar
+                </button>
+              )}
+              {activeList && (
+                <button
+                  onClick={() => setShowExport(!showExport)}
+                  style={styles.reorderButton}
+                  aria-expanded={showExport}
+                >
+                  ⬇️ Export
+                </button>
+              )}
+              {canContribute && tmdb && (
+                <button
+                  onClick={toggleImport}
+                  style={styles.reorderButton}
+                  aria-expanded={showImport}
+                >
+                  📥 Import
+                </button>
+              )}
+              {myRole === "owner" && tmdb && backfillCandidates.length > 0 && (
+                <button
+                  onClick={runBackfill}
+                  disabled={backfillProgress !== null}
+                  style={styles.reorderButton}
+                  title="Look up genres, runtime, release date and language on TMDB"
+                >
+                  {backfillProgress
+                    ? `Filling in details ${backfillProgress.done}/${backfillProgress.total}...`
+                    : `↻ Fill in details (${backfillCandidates.length})`}
+                </button>
+              )}
+            </div>
+          )}
+          {activeList && currentUser && !loading && !myRole && (
+            <p style={styles.authStatus}>
+              You're not a member of {activeList.name} yet.{" "}
+              <button onClick={joinList} style={styles.linkButton}>
+                Join as a viewer
+              </button>
+            </p>
+          )}
+          {myRole === "viewer" && (
+            <p style={styles.authStatus}>
+              You're a viewer on this list. Ask an owner to make you a member to
+              add and vote.
+            </p>
+          )}
+          {loading && (
+            <p style={{ color: "#60a5fa", marginTop: "8px" }}>
+              Loading movies...
+            </p>
+          )}
+          {error && (
+            <p style={{ color: "#ef4444", marginTop: "8px" }}>⚠️ {error}</p>
+          )}
+          {!loading && SUPABASE_URL && (
+            <p style={styles.syncStatus} role="status">
+              {syncStatus === "live"
+                ? "● Live"
+                : syncStatus === "offline"
+                  ? "○ Live updates unavailable, checking every 30s"
+                  : "○ Connecting..."}
+            </p>
+          )}
+          {(!isOnline || pendingSyncCount > 0) && (
+            <p style={styles.syncStatus} role="status">
+              {!isOnline && "You're offline, showing the last saved queue. "}
+              {pendingSyncCount > 0 &&
+                `${pendingSyncCount} ${
+                  pendingSyncCount === 1 ? "change" : "changes"
+                } waiting to sync`}
+            </p>
+          )}
+          {syncNotices.length > 0 && (
+            <div style={styles.syncNotices} role="alert">
+              {syncNotices.map((notice, index) => (
+                <p key={index} style={styles.syncNotice}>
+                  {notice}
                 </p>
-                <p style={{ fontSize: "12px" }}>Use Movie API</p>
-              </div>
-            )}
+              ))}
+              <button
+                onClick={() => setSyncNotices([])}
+                style={styles.linkButton}
+              >
+                Dismiss
+              </button>
+            </div>
+          )}
+          <div style={styles.orderToggle} role="group" aria-label="Queue order">
+            {QUEUE_ORDERS.map((order) => (
+              <button
+                key={order.value}
+                onClick={() => setQueueOrder(order.value)}
+                aria-pressed={queueOrder === order.value}
+                style={{
+                  ...styles.orderButton,
+                  ...(queueOrder === order.value
+                    ? styles.orderButtonActive
+                    : {}),
+                }}
+              >
+                {order.label}
+              </button>
+            ))}
+          </div>
+        </div>
 
+        {nextMovie && (
+          <div style={{ textAlign: "center", marginBottom: "64px" }}>
             <div
               style={{
-                ...styles.priorityDot,
-                backgroundColor: getPriorityIndicator(movie.priority),
+                display: "inline-block",
+                ...(dropTargetId === nextMovie.id ? styles.dropTarget : {}),
               }}
-            ></div>
+              onDragOver={(e) => !nextNight && handleDragOver(e, nextMovie.id)}
+              onDragLeave={() => setDropTargetId(null)}
+              onDrop={(e) => !nextNight && handleDrop(e, 0)}
+            >
+              {editingId === nextMovie.id ? (
+                renderEditForm(true)
+              ) : (
+                <PosterFrame
+                  movie={nextMovie}
+                  label={nowShowingLabel}
+                  isMain={true}
+                  onRemove={canManage(nextMovie) ? removeMovie : null}
+                  onWatched={canContribute ? markWatched : null}
+                  onEdit={canManage(nextMovie) ? startEditing : null}
+                  onSchedule={canContribute ? toggleScheduling : null}
+                  onMoveLater={
+                    canReorder && !nextNight && visibleUpcomingMovies.length > 0
+                      ? (id) =>
+                          moveMovie(
+                            id,
+                            queueIndexOf(visibleUpcomingMovies[0]),
+                            "later"
+                          )
+                      : null
+                  }
+                />
+              )}
+            </div>
+          </div>
+        )}
+
+        {showMembers && activeList && (
+          <div style={styles.form}>
+            <h3 style={styles.formTitle}>{activeList.name} Members</h3>
+            {listMembers.map((member) => (
+              <div key={member.id} style={styles.scoreRow}>
+                <span>
+                  👤 {member.display_name}
+                  {member.user_id === currentUser?.id && " (you)"}
+                </span>
+                {myRole === "owner" && member.user_id !== currentUser?.id ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => updateMemberRole(member, e.target.value)}
+                    style={{ ...styles.input, ...styles.filterControl }}
+                    aria-label={`Role for ${member.display_name}`}
+                  >
+                    {LIST_ROLES.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span>{member.role}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {showServices && activeList && (
+          <div style={styles.form}>
+            <h3 style={styles.formTitle}>Our Streaming Services</h3>
+            <select
+              value={servicesDraft.region}
+              onChange={(e) => changeServicesRegion(e.target.value)}
+              disabled={myRole !== "owner"}
+              style={{ ...styles.input, marginBottom: "16px" }}
+              aria-label="Watch region"
+            >
+              {(watchRegions.length > 0
+                ? watchRegions
+                : [{ iso_3166_1: servicesDraft.region }]
+              ).map((region) => (
+                <option key={region.iso_3166_1} value={region.iso_3166_1}>
+                  {region.english_name || region.iso_3166_1}
+                </option>
+              ))}
+            </select>
+            {!TMDB_API_KEY && (
+              <p style={styles.searchMovieDetails}>
+                Add REACT_APP_MOVIES_API to look up streaming services.
+              </p>
+            )}
+            <div style={styles.serviceGrid}>
+              {providerCatalog.map((provider) => (
+                <label key={provider.provider_id} style={styles.serviceOption}>
+                  <input
+                    type="checkbox"
+                    checked={servicesDraft.services.includes(
+                      provider.provider_id
+                    )}
+                    onChange={() => toggleServiceDraft(provider.provider_id)}
+                    disabled={myRole !== "owner"}
+                  />
+                  <img
+                    src={`https://image.tmdb.org/t/p/w45${provider.logo_path}`}
+                    alt=""
+                    style={styles.providerLogo}
+                  />
+                  {provider.provider_name}
+                </label>
+              ))}
+            </div>
+            <p style={styles.providerAttribution}>
+              Availability from JustWatch, via TMDB.
+            </p>
+            {myRole === "owner" && (
+              <div style={styles.buttonGrid}>
+                <button onClick={saveServices} style={styles.primaryButton}>
+                  Save Services
+                </button>
+                <button
+                  onClick={() => setShowServices(false)}
+                  style={styles.secondaryButton}
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {showCalendar && activeList && (
+          <div style={styles.form}>
+            <div style={styles.calendarHeader}>
+              <button
+                onClick={() => shiftCalendarMonth(-1)}
+                style={styles.reorderButton}
+                aria-label="Previous month"
+              >
+                ‹
+              </button>
+              <h3 style={{ ...styles.formTitle, margin: 0 }}>
+                {new Date(
+                  calendarMonth.year,
+                  calendarMonth.month,
+                  1
+                ).toLocaleDateString(undefined, {
+                  month: "long",
+                  year: "numeric",
+                })}
+              </h3>
+              <button
+                onClick={() => shiftCalendarMonth(1)}
+                style={styles.reorderButton}
+                aria-label="Next month"
+              >
+                ›
+              </button>
+            </div>
+            <div style={styles.calendarGrid}>
+              {calendarWeeks[0].map((day) => (
+                <div key={day.getDay()} style={styles.calendarWeekday}>
+                  {day.toLocaleDateString(undefined, { weekday: "short" })}
+                </div>
+              ))}
+              {calendarWeeks.flat().map((day) => {
+                const key = toDateKey(day);
+                return (
+                  <div
+                    key={key}
+                    style={{
+                      ...styles.calendarDay,
+                      ...(day.getMonth() !== calendarMonth.month
+                        ? styles.calendarDayOutside
+                        : {}),
+                      ...(key === toDateKey(now)
+                        ? styles.calendarDayToday
+                        : {}),
+                    }}
+                  >
+                    <div style={styles.calendarDayNumber}>{day.getDate()}</div>
+                    {(nightsByDay[key] || []).map((movie) => (
+                      <button
+                        key={movie.id}
+                        onClick={() => openMovieDetail(movie)}
+                        style={{
+                          ...styles.calendarNight,
+                          ...(movie.watched_at
+                            ? styles.calendarNightWatched
+                            : {}),
+                        }}
+                        title={
+                          !movie.watched_at && getScheduleWarning(movie)
+                            ? describeScheduleWarning(getScheduleWarning(movie))
+                            : movie.title
+                        }
+                      >
+                        {formatTime(movie.scheduled_at)} {movie.title}
+                        {movie.watched_at
+                          ? " ✓"
+                          : getScheduleWarning(movie)
+                            ? " ⚠️"
+                            : ""}
+                      </button>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+            {Object.keys(nightsByDay).length === 0 && (
+              <p style={styles.searchMovieDetails}>
+                Nothing scheduled yet. Use 📅 on a movie to book a night.
+              </p>
+            )}
+            <label style={{ ...styles.filterCheckbox, marginTop: "16px" }}>
+              Nights end at
+              <input
+                type="time"
+                value={nightEndsDraft ?? nightEndsAt}
+                onChange={(e) => setNightEndsDraft(e.target.value)}
+                onBlur={saveNightEndsAt}
+                disabled={myRole !== "owner"}
+                style={{ ...styles.input, ...styles.filterControl }}
+              />
+            </label>
+          </div>
+        )}
+
+        {showExport && activeList && (
+          <div style={styles.form}>
+            <h3 style={styles.formTitle}>Export {activeList.name}</h3>
+            <p style={styles.searchMovieDetails}>
+              Every stored field, with the queue in the order shown below.
+            </p>
+            <div style={{ ...styles.buttonGrid, flexWrap: "wrap" }}>
+              <button
+                onClick={() => exportList("queue")}
+                disabled={orderedMovies.length === 0}
+                style={styles.secondaryButton}
+              >
+                Queue (CSV)
+              </button>
+              <button
+                onClick={() => exportList("history")}
+                disabled={watchedMovies.length === 0}
+                style={styles.secondaryButton}
+              >
+                History (CSV)
+              </button>
+              <button
+                onClick={() => exportList("json")}
+                style={styles.secondaryButton}
+              >
+                Queue and History (JSON)
+              </button>
+              {movieNightEvents.length > 0 && (
+                <button
+                  onClick={() => exportList("ics")}
+                  style={styles.secondaryButton}
+                >
+                  📅 Movie Nights (.ics)
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {showImport && canContribute && (
+          <div style={styles.form}>
+            <h3 style={styles.formTitle}>Import a Watchlist</h3>
+            <p style={styles.searchMovieDetails}>
+              A CSV with a Title (or Name) column and optionally a Year, a
+              Letterboxd watchlist export (watchlist.csv) or an IMDb list
+              export. Each row is matched to TMDB before anything is added.
+            </p>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleImportFile}
+              disabled={importProgress !== null || isImporting}
+              style={{ ...styles.input, marginTop: "12px" }}
+              aria-label="Watchlist file"
+            />
+
+            {importProgress && (
+              <p style={styles.searchMovieDetails} role="status">
+                Matching {importProgress.done}/{importProgress.total}...
+              </p>
+            )}
+
+            {importRows && (
+              <>
+                <div style={styles.importList}>
+                  {importPlan.map(({ row, values, duplicate }) => (
+                    <div
+                      key={row.id}
+                      style={{
+                        ...styles.importRow,
+                        ...(row.choice === ""
+                          ? styles.importRowNeedsReview
+                          : {}),
+                      }}
+                    >
+                      <div style={styles.importEntry}>
+                        {row.entry.title}
+                        {row.entry.year && (
+                          <span style={styles.movieYear}>
+                            {" "}
+                            ({row.entry.year})
+                          </span>
+                        )}
+                      </div>
+                      <select
+                        value={row.choice}
+                        onChange={(e) =>
+                          setImportChoice(row.id, e.target.value)
+                        }
+                        style={styles.importSelect}
+                        aria-label={`Match for ${row.entry.title}`}
+                      >
+                        {row.choice === "" && (
+                          <option value="">Choose a match...</option>
+                        )}
+                        {row.candidates.map((candidate, index) => {
+                          const year = getReleaseYear(
+                            metadataFromTmdb(candidate)
+                          );
+                          return (
+                            <option key={candidate.id} value={String(index)}>
+                              {candidate.title || candidate.name}
+                              {year ? ` (${year})` : ""}
+                              {candidate.media_type === "tv" ? " · TV" : ""}
+                            </option>
+                          );
+                        })}
+                        <option value="typed">
+                          Add as written, no TMDB match
+                        </option>
+                        <option value="skip">Skip</option>
+                      </select>
+                      <div style={styles.importStatus}>
+                        {duplicate
+                          ? `Already queued by ${duplicate.added_by || "someone"}`
+                          : values
+                            ? "✓"
+                            : row.choice === ""
+                              ? "Needs review"
+                              : row.status === "unmatched"
+                                ? "No match"
+                                : "Skipped"}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div style={styles.buttonGrid}>
+                  <button
+                    onClick={confirmImport}
+                    disabled={importCount === 0 || isImporting}
+                    style={{
+                      ...styles.primaryButton,
+                      opacity: importCount === 0 ? 0.5 : 1,
+                    }}
+                  >
+                    {isImporting
+                      ? "Importing..."
+                      : `Import ${importCount} ${importCount === 1 ? "title" : "titles"}`}
+                  </button>
+                  <button onClick={toggleImport} style={styles.secondaryButton}>
+                    Cancel
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {SUPABASE_URL && !currentUser && (
+          <div style={styles.form}>
+            <h3 style={styles.formTitle}>Sign In</h3>
+            <div style={styles.authFields}>
+              <input
+                type="email"
+                placeholder="Email *"
+                value={authForm.email}
+                onChange={(e) =>
+                  setAuthForm({ ...authForm, email: e.target.value })
+                }
+                style={styles.input}
+                autoComplete="email"
+              />
+              <input
+                type="password"
+                placeholder="Password (not needed for a magic link)"
+                value={authForm.password}
+                onChange={(e) =>
+                  setAuthForm({ ...authForm, password: e.target.value })
+                }
+                onKeyDown={(e) => e.key === "Enter" && handleSignIn("password")}
+                style={styles.input}
+                autoComplete="current-password"
+              />
+              <input
+                type="text"
+                placeholder="Display name (for new accounts)"
+                value={authForm.displayName}
+                onChange={(e) =>
+                  setAuthForm({ ...authForm, displayName: e.target.value })
+                }
+                style={styles.input}
+                autoComplete="nickname"
+              />
+            </div>
+            {authMessage && (
+              <p style={styles.authMessage} role="status">
+                {authMessage}
+              </p>
+            )}
+            <div style={styles.buttonGrid}>
+              <button
+                onClick={() => handleSignIn("password")}
+                disabled={authBusy}
+                style={styles.primaryButton}
+              >
+                Sign In
+              </button>
+              <button
+                onClick={() => handleSignIn("signup")}
+                disabled={authBusy}
+                style={styles.secondaryButton}
+              >
+                Create Account
+              </button>
+              <button
+                onClick={() => handleSignIn("magic")}
+                disabled={authBusy}
+                style={styles.secondaryButton}
+              >
+                Email Me a Link
+              </button>
+            </div>
+          </div>
+        )}
 
-            {onRemove && (
+        {canContribute && (
+          <div style={{ textAlign: "center", marginBottom: "48px" }}>
+            <div style={{ display: "inline-flex", gap: "16px" }}>
               <button
-                onClick={(e) => {
-                  e.preventDefault();
-                  e.stopPropagation();
-                  onRemove(movie.id);
-                }}
-                style={
-                  isHovered ? styles.removeButtonVisible : styles.removeButton
+                onClick={() => setShowAddForm(!showAddForm)}
+                style={styles.addButton}
+                onMouseEnter={(e) =>
+                  Object.assign(e.target.style, styles.addButtonHover)
+                }
+                onMouseLeave={(e) =>
+                  Object.assign(e.target.style, styles.addButton)
                 }
-                onMouseEnter={(e) => {
-                  e.target.style.backgroundColor = "rgba(185, 28, 28, 1)";
-                  e.target.style.transform = "scale(1.1)";
-                }}
-                onMouseLeave={(e) => {
-                  e.target.style.backgroundColor = "rgba(220, 38, 38, 0.9)";
-                  e.target.style.transform = "scale(1)";
-                }}
-                title="Remove movie"
               >
-                ×
+                <span style={{ fontSize: "20px", marginRight: "8px" }}>➕</span>
+                Add Movie
               </button>
-            )}
-          </div>
-        </div>
 
-        <div style={styles.labelPlate}>
-          <div style={styles.labelText}>{label}</div>
-        </div>
+              {upcomingMovies.length > 1 && (
+                <button
+                  onClick={() => setShowPicker(!showPicker)}
+                  style={styles.addButton}
+                  onMouseEnter={(e) =>
+                    Object.assign(e.target.style, styles.addButtonHover)
+                  }
+                  onMouseLeave={(e) =>
+                    Object.assign(e.target.style, styles.addButton)
+                  }
+                >
+                  <span style={{ fontSize: "20px", marginRight: "8px" }}>
+                    🎲
+                  </span>
+                  Can't Decide?
+                </button>
+              )}
 
-        <div style={styles.movieInfo}>
-          <h3 style={styles.movieTitle}>
-            {movie.title}
-            {movie.release_year && (
-              <span style={styles.movieYear}> ({movie.release_year})</span>
-            )}
-          </h3>
-          <div style={styles.movieDetails}>
-            {movie.genre && (
-              <div style={styles.movieDetailItem}>🎭 {movie.genre}</div>
-            )}
-            {movie.runtime && (
-              <div style={styles.movieDetailItem}>⏱️ {movie.runtime}</div>
-            )}
-            {movie.added_by && (
-              <div style={styles.movieDetailItem}>👤 {movie.added_by}</div>
+              {TMDB_API_KEY && movies.some((movie) => movie.tmdb_id) && (
+                <button
+                  onClick={toggleSuggestions}
+                  style={styles.addButton}
+                  onMouseEnter={(e) =>
+                    Object.assign(e.target.style, styles.addButtonHover)
+                  }
+                  onMouseLeave={(e) =>
+                    Object.assign(e.target.style, styles.addButton)
+                  }
+                >
+                  <span style={{ fontSize: "20px", marginRight: "8px" }}>
+                    💡
+                  </span>
+                  Suggestions
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {showSuggestions && (
+          <div style={styles.form}>
+            <h3 style={styles.formTitle}>Suggestions</h3>
+            {isLoadingSuggestions ? (
+              <p style={styles.searchMovieDetails}>Finding suggestions...</p>
+            ) : visibleSuggestions.length === 0 ? (
+              <p style={styles.searchMovieDetails}>
+                No suggestions yet. Add a few titles from TMDB first.
+              </p>
+            ) : (
+              <div style={styles.suggestionGrid}>
+                {visibleSuggestions.map((suggestion) => {
+                  const { result } = suggestion;
+                  const title = result.title || result.name;
+                  const year = getReleaseYear(metadataFromTmdb(result));
+                  return (
+                    <div key={suggestion.key} style={styles.suggestionCard}>
+                      {result.poster_path ? (
+                        <img
+                          src={`https://image.tmdb.org/t/p/w185${result.poster_path}`}
+                          alt={`${title} poster`}
+                          style={styles.suggestionPoster}
+                          loading="lazy"
+                        />
+                      ) : (
+                        <div style={styles.suggestionPoster}>🎬</div>
+                      )}
+                      <div style={styles.suggestionTitle}>
+                        {title}
+                        {year && (
+                          <span style={styles.movieYear}> ({year})</span>
+                        )}
+                      </div>
+                      <div
+                        style={styles.suggestionReason}
+                        title={suggestion.because.join(", ")}
+                      >
+                        Because of {suggestion.because.slice(0, 2).join(", ")}
+                        {suggestion.because.length > 2 &&
+                          ` +${suggestion.because.length - 2}`}
+                      </div>
+                      <button
+                        onClick={() => addSuggestion(suggestion)}
+                        disabled={addingSuggestionKey !== null}
+                        style={styles.suggestionAddButton}
+                      >
+                        {addingSuggestionKey === suggestion.key
+                          ? "Adding..."
+                          : "➕ Add"}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
             )}
           </div>
-        </div>
-      </div>
-    );
-  };
+        )}
 
-  return (
-    <div style={styles.container}>
-      <div style={{ maxWidth: "1200px", margin: "0 auto" }}>
-        <div style={styles.header}>
-          <h1 style={styles.mainTitle}>CINEMA QUEUE</h1>
-          <div style={styles.subtitle}>WHAT ARE WE WATCHING NEXT</div>
-          <p style={styles.urlText}>
-            Visit: <span style={styles.urlCode}>whatarewewatchingnext</span>
-          </p>
-          {loading && (
-            <p style={{ color: "#60a5fa", marginTop: "8px" }}>
-              Loading movies...
-            </p>
-          )}
-          {error && (
-            <p style={{ color: "#ef4444", marginTop: "8px" }}>⚠️ {error}</p>
-          )}
-        </div>
+        {showPicker && (
+          <div style={styles.form}>
+            <h3 style={styles.formTitle}>Spin the Wheel</h3>
 
-        {nextMovie && (
-          <div style={{ textAlign: "center", marginBottom: "64px" }}>
-            <PosterFrame
-              movie={nextMovie}
-              label="NOW SHOWING"
-              isMain={true}
-              onRemove={removeMovie}
-            />
+            <div style={{ ...styles.formGrid, marginTop: 0 }}>
+              <select
+                value={pickerFilters.genre}
+                onChange={(e) =>
+                  setPickerFilters({ ...pickerFilters, genre: e.target.value })
+                }
+                style={styles.input}
+                aria-label="Genre"
+              >
+                <option value="">Any Genre</option>
+                {upcomingGenres.map((genre) => (
+                  <option key={genre} value={genre}>
+                    {genre}
+                  </option>
+                ))}
+              </select>
+
+              <input
+                type="number"
+                min="1"
+                placeholder="Max runtime (min)"
+                value={pickerFilters.maxRuntime}
+                onChange={(e) =>
+                  setPickerFilters({
+                    ...pickerFilters,
+                    maxRuntime: e.target.value,
+                  })
+                }
+                style={styles.input}
+                aria-label="Maximum runtime in minutes"
+              />
+
+              <select
+                value={pickerFilters.suggester}
+                onChange={(e) =>
+                  setPickerFilters({
+                    ...pickerFilters,
+                    suggester: e.target.value,
+                  })
+                }
+                style={styles.input}
+                aria-label="Suggested by"
+              >
+                <option value="">Anyone's Pick</option>
+                {upcomingSuggesters.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+
+              <label style={styles.pickerCheckbox}>
+                <input
+                  type="checkbox"
+                  checked={pickerFilters.weighted}
+                  onChange={(e) =>
+                    setPickerFilters({
+                      ...pickerFilters,
+                      weighted: e.target.checked,
+                    })
+                  }
+                />
+                Favor high priority
+              </label>
+            </div>
+
+            <div style={styles.pickerReel} aria-live="polite">
+              {pickerMovie ? (
+                <>
+                  {pickerMovie.poster_url && (
+                    <img
+                      src={pickerMovie.poster_url}
+                      alt=""
+                      style={styles.pickerPoster}
+                    />
+                  )}
+                  <div
+                    style={{
+                      ...styles.movieTitle,
+                      opacity: isSpinning ? 0.6 : 1,
+                    }}
+                  >
+                    {pickerMovie.title}
+                  </div>
+                </>
+              ) : (
+                <div style={styles.searchMovieDetails}>
+                  {pickerCandidates.length} of {upcomingMovies.length} movies in
+                  the running
+                </div>
+              )}
+            </div>
+
+            {pickerResultId && canContribute && nextNight && (
+              <p style={styles.searchMovieDetails}>
+                {nextNight.title} is booked for{" "}
+                {formatNight(nextNight.scheduled_at)} and holds NOW SHOWING
+                until it's over.
+              </p>
+            )}
+            {pickerResultId &&
+              canContribute &&
+              !nextNight &&
+              !isManualOrder && (
+                <p style={styles.searchMovieDetails}>
+                  This switches the queue from {queueOrderLabel} to Manual
+                  Order.
+                </p>
+              )}
+            <div style={styles.buttonGrid}>
+              {pickerResultId && canContribute ? (
+                <button
+                  onClick={promotePickerResult}
+                  disabled={Boolean(nextNight)}
+                  style={{
+                    ...styles.primaryButton,
+                    opacity: nextNight ? 0.5 : 1,
+                  }}
+                >
+                  Make Now Showing
+                </button>
+              ) : null}
+              <button
+                onClick={spinPicker}
+                disabled={isSpinning || pickerCandidates.length === 0}
+                style={{
+                  ...styles.secondaryButton,
+                  opacity: pickerCandidates.length === 0 ? 0.5 : 1,
+                }}
+              >
+                {isSpinning
+                  ? "Spinning..."
+                  : pickerResultId
+                    ? "Spin Again"
+                    : "Spin"}
+              </button>
+            </div>
           </div>
         )}
 
-        <div style={{ textAlign: "center", marginBottom: "48px" }}>
-          <button
-            onClick={() => setShowAddForm(!showAddForm)}
-            style={styles.addButton}
-            onMouseEnter={(e) =>
-              Object.assign(e.target.style, styles.addButtonHover)
-            }
-            onMouseLeave={(e) =>
-              Object.assign(e.target.style, styles.addButton)
-            }
-          >
-            <span style={{ fontSize: "20px", marginRight: "8px" }}>➕</span>
-            Add Movie
-          </button>
-        </div>
-
         {showAddForm && (
           <div style={styles.form}>
             <h3 style={styles.formTitle}>Add New Movie</h3>
@@ -765,22 +4944,50 @@ export default function App() {
                 <label style={styles.searchLabel}>
                   🎬 Search TMDB Database
                 </label>
+                <div
+                  style={styles.searchModes}
+                  role="group"
+                  aria-label="What to search"
+                >
+                  {SEARCH_MODES.map((mode) => (
+                    <button
+                      key={mode.value}
+                      onClick={() => updateMovieSearch(movieSearch, mode.value)}
+                      aria-pressed={searchMode === mode.value}
+                      style={{
+                        ...styles.orderButton,
+                        ...(searchMode === mode.value
+                          ? styles.orderButtonActive
+                          : {}),
+                      }}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
+                </div>
                 <div style={{ position: "relative" }}>
                   <input
                     type="text"
-                    placeholder="Search for movies..."
+                    placeholder={
+                      searchMode === "multi"
+                        ? "Search for movies and TV..."
+                        : "Search for movies..."
+                    }
                     value={movieSearch}
-                    onChange={(e) => {
-                      setMovieSearch(e.target.value);
-                      if (e.target.value.length > 2) {
-                        searchTMDB(e.target.value);
-                      } else {
-                        setSearchResults([]);
-                      }
-                    }}
+                    onChange={(e) => updateMovieSearch(e.target.value)}
+                    onKeyDown={handleSearchKeyDown}
+                    role="combobox"
+                    aria-expanded={searchResults.length > 0}
+                    aria-controls="tmdb-search-results"
+                    aria-autocomplete="list"
+                    aria-activedescendant={
+                      highlightedResult >= 0
+                        ? `tmdb-result-${highlightedResult}`
+                        : undefined
+                    }
                     style={styles.input}
                   />
-                  {isSearching && (
+                  {(isFetchingDetails || (isSearching && searchPage === 1)) && (
                     <div
                       style={{
                         position: "absolute",
@@ -789,7 +4996,7 @@ export default function App() {
                         color: "#60a5fa",
                       }}
                     >
-                      {searchResults.length > 0
+                      {isFetchingDetails
                         ? "Getting details..."
                         : "Searching..."}
                     </div>
@@ -797,44 +5004,71 @@ export default function App() {
                 </div>
 
                 {searchResults.length > 0 && (
-                  <div style={styles.searchResults}>
-                    {searchResults.map((movie) => (
+                  <div
+                    id="tmdb-search-results"
+                    role="listbox"
+                    aria-label="TMDB results"
+                    style={styles.searchResults}
+                  >
+                    {searchResults.map((movie, index) => (
                       <div
-                        key={movie.id}
+                        key={`${movie.media_type}-${movie.id}`}
+                        id={`tmdb-result-${index}`}
+                        role="option"
+                        aria-selected={index === highlightedResult}
                         onClick={(e) => {
                           e.preventDefault();
                           selectTMDBMovie(movie);
                         }}
-                        style={styles.searchResult}
-                        onMouseEnter={(e) => {
-                          e.currentTarget.style.backgroundColor =
-                            "rgba(55, 65, 81, 0.5)";
-                        }}
-                        onMouseLeave={(e) => {
-                          e.currentTarget.style.backgroundColor =
-                            "rgba(31, 41, 55, 0.5)";
+                        style={{
+                          ...styles.searchResult,
+                          ...(index === highlightedResult
+                            ? styles.searchResultHover
+                            : {}),
                         }}
+                        onMouseEnter={() => setHighlightedResult(index)}
                       >
                         {movie.poster_path && (
                           <img
                             src={`https://image.tmdb.org/t/p/w92${movie.poster_path}`}
-                            alt={movie.title}
+                            alt={movie.title || movie.name}
                             style={styles.searchPoster}
                           />
                         )}
                         <div style={{ flex: 1 }}>
                           <div style={styles.searchMovieTitle}>
-                            {movie.title}
+                            <span
+                              style={{
+                                ...styles.mediaBadge,
+                                ...(movie.media_type === "tv"
+                                  ? styles.mediaBadgeTv
+                                  : {}),
+                              }}
+                            >
+                              {movie.media_type === "tv" ? "TV" : "MOVIE"}
+                            </span>
+                            {movie.title || movie.name}
                           </div>
                           <div style={styles.searchMovieDetails}>
-                            {movie.release_date &&
-                              new Date(movie.release_date).getFullYear()}
+                            {(movie.release_date || movie.first_air_date) &&
+                              new Date(
+                                movie.release_date || movie.first_air_date
+                              ).getFullYear()}
                             {movie.overview &&
                               ` • ${movie.overview.slice(0, 100)}...`}
                           </div>
                         </div>
                       </div>
                     ))}
+                    {searchPage < searchTotalPages && (
+                      <button
+                        onClick={() => setSearchPage(searchPage + 1)}
+                        disabled={isSearching}
+                        style={{ ...styles.linkButton, margin: "4px 0 8px" }}
+                      >
+                        {isSearching ? "Loading..." : "More results"}
+                      </button>
+                    )}
                   </div>
                 )}
 
@@ -859,77 +5093,112 @@ export default function App() {
                   📝 Or Add Manually
                 </label>
 
-                <input
-                  type="text"
-                  placeholder="Movie Title *"
-                  value={newMovie.title}
-                  onChange={(e) =>
-                    setNewMovie({ ...newMovie, title: e.target.value })
-                  }
-                  style={{ ...styles.input, marginBottom: "16px" }}
-                />
-
-                <input
-                  type="text"
-                  placeholder="TMDB Poster URL (auto-filled from search)"
-                  value={newMovie.posterUrl}
-                  onChange={(e) =>
-                    setNewMovie({ ...newMovie, posterUrl: e.target.value })
-                  }
-                  style={{
-                    ...styles.input,
-                    marginBottom: "16px",
-                    fontSize: "14px",
-                  }}
-                />
-
-                <div style={styles.formGrid}>
-                  <input
-                    type="text"
-                    placeholder="Genre"
-                    value={newMovie.genre}
-                    onChange={(e) =>
-                      setNewMovie({ ...newMovie, genre: e.target.value })
-                    }
-                    style={styles.input}
-                  />
+                {newMovie.mediaType === "tv" && tvDetails && (
+                  <div style={styles.tvPicker}>
+                    <p style={styles.searchMovieDetails}>
+                      📺 {tvDetails.number_of_seasons}{" "}
+                      {tvDetails.number_of_seasons === 1 ? "season" : "seasons"}
+                      {newMovie.runtimeMinutes &&
+                        ` · ${formatRuntime(
+                          toOptionalInteger(newMovie.runtimeMinutes)
+                        )} episodes`}
+                      {newMovie.network && ` · ${newMovie.network}`}
+                    </p>
+                    <div style={styles.formGrid}>
+                      <select
+                        value={newMovie.seasonNumber}
+                        onChange={(e) => selectSeason(e.target.value)}
+                        style={styles.input}
+                        aria-label="Season to queue"
+                      >
+                        <option value="">Whole series</option>
+                        {(tvDetails.seasons || []).map((season) => (
+                          <option
+                            key={season.season_number}
+                            value={season.season_number}
+                          >
+                            {season.name} ({season.episode_count} episodes)
+                          </option>
+                        ))}
+                      </select>
+                      {newMovie.seasonNumber !== "" && (
+                        <select
+                          value={newMovie.episodeNumber}
+                          onChange={(e) => selectEpisode(e.target.value)}
+                          style={styles.input}
+                          aria-label="Episode to queue"
+                          disabled={tvEpisodes.length === 0}
+                        >
+                          <option value="">Whole season</option>
+                          {tvEpisodes.map((episode) => (
+                            <option
+                              key={episode.episode_number}
+                              value={episode.episode_number}
+                            >
+                              {episode.episode_number}. {episode.name}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  </div>
+                )}
 
-                  <input
-                    type="text"
-                    placeholder="Runtime (e.g., 120 min)"
-                    value={newMovie.runtime}
-                    onChange={(e) =>
-                      setNewMovie({ ...newMovie, runtime: e.target.value })
-                    }
-                    style={styles.input}
-                  />
+                {renderMovieFields(newMovie, setNewMovie)}
 
-                  <input
-                    type="text"
-                    placeholder="Suggested by"
-                    value={newMovie.addedBy}
-                    onChange={(e) =>
-                      setNewMovie({ ...newMovie, addedBy: e.target.value })
-                    }
-                    style={styles.input}
-                  />
+                {duplicateMovie && (
+                  <div style={styles.duplicateWarning} role="alert">
+                    <p style={{ margin: 0 }}>
+                      ⚠️ Already in the queue:{" "}
+                      <a
+                        href={movieDetailPath(duplicateMovie)}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          openMovieDetail(duplicateMovie);
+                        }}
+                        style={styles.movieTitleLink}
+                      >
+                        {duplicateMovie.title}
+                        {formatEpisodeLabel(duplicateMovie) &&
+                          ` ${formatEpisodeLabel(duplicateMovie)}`}
+                      </a>
+                      {getReleaseYear(duplicateMovie) &&
+                        ` (${getReleaseYear(duplicateMovie)})`}
+                      , added by {duplicateMovie.added_by || "someone"} at{" "}
+                      {duplicateMovie.priority || "medium"} priority.
+                    </p>
+                    {duplicateMovie.priority === "high" ? (
+                      <p style={styles.duplicateWarningHint}>
+                        It's already high priority.
+                      </p>
+                    ) : canManage(duplicateMovie) ? (
+                      <button
+                        onClick={() => bumpPriority(duplicateMovie)}
+                        style={styles.duplicateBumpButton}
+                      >
+                        ⬆️ Bump it to{" "}
+                        {getBumpedPriority(
+                          duplicateMovie.priority,
+                          newMovie.priority
+                        )}{" "}
+                        instead
+                      </button>
+                    ) : (
+                      <p style={styles.duplicateWarningHint}>
+                        Only {duplicateMovie.added_by || "its suggester"} or the
+                        list owner can change its priority.
+                      </p>
+                    )}
+                  </div>
+                )}
 
-                  <select
-                    value={newMovie.priority}
-                    onChange={(e) =>
-                      setNewMovie({ ...newMovie, priority: e.target.value })
-                    }
-                    style={styles.input}
-                  >
-                    <option value="low">Low Priority</option>
-                    <option value="medium">Medium Priority</option>
-                    <option value="high">High Priority</option>
-                  </select>
-                </div>
+                <p style={{ ...styles.authStatus, marginTop: "16px" }}>
+                  👤 Suggested by {displayName}
+                </p>
 
                 <div style={styles.buttonGrid}>
                   <button
-                    onClick={addMovie}
+                    onClick={() => addMovie()}
                     style={styles.primaryButton}
                     onMouseEnter={(e) =>
                       Object.assign(e.target.style, styles.primaryButtonHover)
@@ -938,11 +5207,14 @@ export default function App() {
                       Object.assign(e.target.style, styles.primaryButton)
                     }
                   >
-                    Add Movie
+                    {duplicateMovie ? "Add Anyway" : "Add Movie"}
                   </button>
 
                   <button
-                    onClick={() => setShowAddForm(false)}
+                    onClick={() => {
+                      setShowAddForm(false);
+                      resetTVSelection();
+                    }}
                     style={styles.secondaryButton}
                     onMouseEnter={(e) =>
                       Object.assign(e.target.style, styles.secondaryButtonHover)
@@ -963,21 +5235,218 @@ export default function App() {
           <div>
             <h2 style={styles.sectionTitle}>COMING SOON</h2>
 
+            <div style={styles.filterBar} role="search">
+              <input
+                type="search"
+                placeholder="Search titles..."
+                value={queueFilters.q}
+                onChange={(e) =>
+                  setQueueFilters({ ...queueFilters, q: e.target.value })
+                }
+                style={{ ...styles.input, ...styles.filterSearch }}
+                aria-label="Search titles"
+              />
+
+              <select
+                value={queueFilters.genre}
+                onChange={(e) =>
+                  setQueueFilters({ ...queueFilters, genre: e.target.value })
+                }
+                style={{ ...styles.input, ...styles.filterControl }}
+                aria-label="Genre"
+              >
+                <option value="">All Genres</option>
+                {upcomingGenres.map((genre) => (
+                  <option key={genre} value={genre}>
+                    {genre}
+                  </option>
+                ))}
+              </select>
+
+              <select
+                value={queueFilters.by}
+                onChange={(e) =>
+                  setQueueFilters({ ...queueFilters, by: e.target.value })
+                }
+                style={{ ...styles.input, ...styles.filterControl }}
+                aria-label="Suggested by"
+              >
+                <option value="">Anyone</option>
+                {upcomingSuggesters.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+
+              <select
+                value={queueFilters.priority}
+                onChange={(e) =>
+                  setQueueFilters({ ...queueFilters, priority: e.target.value })
+                }
+                style={{ ...styles.input, ...styles.filterControl }}
+                aria-label="Priority"
+              >
+                <option value="">Any Priority</option>
+                <option value="high">High Priority</option>
+                <option value="medium">Medium Priority</option>
+                <option value="low">Low Priority</option>
+              </select>
+
+              <select
+                value={queueFilters.decade}
+                onChange={(e) =>
+                  setQueueFilters({ ...queueFilters, decade: e.target.value })
+                }
+                style={{ ...styles.input, ...styles.filterControl }}
+                aria-label="Release decade"
+              >
+                <option value="">Any Decade</option>
+                {upcomingDecades.map((decade) => (
+                  <option key={decade} value={decade}>
+                    {decade}s
+                  </option>
+                ))}
+              </select>
+
+              <input
+                type="number"
+                min="0"
+                placeholder="Min min"
+                value={queueFilters.minRuntime}
+                onChange={(e) =>
+                  setQueueFilters({
+                    ...queueFilters,
+                    minRuntime: e.target.value,
+                  })
+                }
+                style={{ ...styles.input, ...styles.filterRuntime }}
+                aria-label="Minimum runtime in minutes"
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Max min"
+                value={queueFilters.maxRuntime}
+                onChange={(e) =>
+                  setQueueFilters({
+                    ...queueFilters,
+                    maxRuntime: e.target.value,
+                  })
+                }
+                style={{ ...styles.input, ...styles.filterRuntime }}
+                aria-label="Maximum runtime in minutes"
+              />
+
+              {ourServices.length > 0 && (
+                <label style={styles.filterCheckbox}>
+                  <input
+                    type="checkbox"
+                    checked={queueFilters.services === "ours"}
+                    onChange={(e) =>
+                      setQueueFilters({
+                        ...queueFilters,
+                        services: e.target.checked ? "ours" : "",
+                      })
+                    }
+                  />
+                  On our services
+                </label>
+              )}
+
+              {hasQueueFilters && (
+                <button
+                  onClick={() =>
+                    setQueueFilters(
+                      Object.fromEntries(
+                        QUEUE_FILTER_PARAMS.map((param) => [param, ""])
+                      )
+                    )
+                  }
+                  style={styles.reorderButton}
+                >
+                  Clear Filters
+                </button>
+              )}
+            </div>
+
+            {hasQueueFilters && (
+              <p style={styles.filterSummary}>
+                Showing {visibleUpcomingMovies.length} of{" "}
+                {upcomingMovies.length} movies
+              </p>
+            )}
+
             <div style={styles.movieGrid}>
-              {upcomingMovies.map((movie, index) => (
-                <PosterFrame
+              {visibleUpcomingMovies.map((movie, index) => (
+                <div
                   key={movie.id}
-                  movie={movie}
-                  label="COMING SOON"
-                  onRemove={removeMovie}
-                  styled={styles.posterFrameComingSoon}
-                />
+                  draggable={canReorder && editingId !== movie.id}
+                  onDragStart={(e) => handleDragStart(e, movie.id)}
+                  onDragOver={(e) => handleDragOver(e, movie.id)}
+                  onDragLeave={() => setDropTargetId(null)}
+                  onDrop={(e) => handleDrop(e, queueIndexOf(movie))}
+                  onDragEnd={handleDragEnd}
+                  style={{
+                    cursor: canReorder ? "grab" : "default",
+                    ...(dropTargetId === movie.id ? styles.dropTarget : {}),
+                  }}
+                >
+                  {editingId === movie.id ? (
+                    renderEditForm()
+                  ) : (
+                    <PosterFrame
+                      movie={movie}
+                      label="COMING SOON"
+                      onRemove={canManage(movie) ? removeMovie : null}
+                      onWatched={canContribute ? markWatched : null}
+                      onEdit={canManage(movie) ? startEditing : null}
+                      onVote={canContribute ? castVote : null}
+                      onSchedule={canContribute ? toggleScheduling : null}
+                      onPromote={
+                        canReorder && !nextNight
+                          ? (id) => moveMovie(id, 0, "later")
+                          : null
+                      }
+                      onMoveEarlier={
+                        canReorder && (index > 0 || !nextNight)
+                          ? (id) =>
+                              moveMovie(
+                                id,
+                                queueIndexOf(
+                                  visibleUpcomingMovies[index - 1] || nextMovie
+                                ),
+                                "earlier"
+                              )
+                          : null
+                      }
+                      onMoveLater={
+                        canReorder && index < visibleUpcomingMovies.length - 1
+                          ? (id) =>
+                              moveMovie(
+                                id,
+                                queueIndexOf(visibleUpcomingMovies[index + 1]),
+                                "later"
+                              )
+                          : null
+                      }
+                      styled={styles.posterFrameComingSoon}
+                    />
+                  )}
+                </div>
               ))}
             </div>
+
+            {hasQueueFilters && visibleUpcomingMovies.length === 0 && (
+              <div style={styles.emptyState}>
+                <p style={styles.emptyTitle}>No Matches</p>
+                <p>No upcoming movies match these filters.</p>
+              </div>
+            )}
           </div>
         )}
 
-        {movies.length === 0 && (
+        {currentUser && queuedMovies.length === 0 && (
           <div style={styles.emptyState}>
             <div
               style={{
@@ -992,6 +5461,171 @@ export default function App() {
             <p>Add some movies to your cinema queue!</p>
           </div>
         )}
+
+        {watchedMovies.length > 0 && (
+          <div style={{ marginTop: "64px" }}>
+            <h2 style={styles.sectionTitle}>WATCH HISTORY</h2>
+
+            <div style={styles.historyList}>
+              {watchedMovies.map((movie) => {
+                const movieRatings = getMovieRatings(movie.id);
+                const rating = getAverageRating(movieRatings);
+
+                return (
+                  <div key={movie.id} style={styles.historyItem}>
+                    <div style={styles.historyRow}>
+                      {movie.poster_url ? (
+                        <img
+                          src={movie.poster_url}
+                          alt={movie.title}
+                          style={{ ...styles.searchPoster, marginRight: 0 }}
+                        />
+                      ) : (
+                        <div style={styles.historyPosterPlaceholder}>🎬</div>
+                      )}
+                      <div style={{ flex: 1 }}>
+                        <div style={styles.searchMovieTitle}>
+                          {movie.title}
+                          {getReleaseYear(movie) && (
+                            <span style={styles.movieYear}>
+                              {" "}
+                              ({getReleaseYear(movie)})
+                            </span>
+                          )}
+                        </div>
+                        <div style={styles.searchMovieDetails}>
+                          Watched{" "}
+                          {new Date(movie.watched_at).toLocaleDateString(
+                            undefined,
+                            { year: "numeric", month: "short", day: "numeric" }
+                          )}
+                          {movie.added_by &&
+                            ` • Suggested by ${movie.added_by}`}
+                        </div>
+                        {rating && (
+                          <div style={styles.ratingSummary}>
+                            {formatRating(rating)}
+                          </div>
+                        )}
+                      </div>
+                      {canContribute && (
+                        <>
+                          <button
+                            onClick={() => startRating(movie)}
+                            style={styles.reorderButton}
+                            aria-label={`Rate ${movie.title}`}
+                            title="Rate and review"
+                          >
+                            ★ Rate
+                          </button>
+                          <button
+                            onClick={() => unwatchMovie(movie.id)}
+                            style={styles.reorderButton}
+                            aria-label={`Send ${movie.title} back to the queue`}
+                            title="Send back to the queue"
+                          >
+                            ↩ Un-watch
+                          </button>
+                        </>
+                      )}
+                    </div>
+
+                    {movieRatings.length > 0 && (
+                      <ul style={styles.reviewList}>
+                        {movieRatings.map((review) => (
+                          <li key={review.id} style={styles.reviewItem}>
+                            <span style={styles.reviewStars}>
+                              {"★".repeat(review.stars)}
+                              {"☆".repeat(5 - review.stars)}
+                            </span>{" "}
+                            <strong>{review.rated_by}</strong>
+                            {review.note && ` — ${review.note}`}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    {ratingMovieId === movie.id && (
+                      <div style={styles.ratingForm}>
+                        <div
+                          style={styles.starPicker}
+                          role="radiogroup"
+                          aria-label="Star rating"
+                        >
+                          {[1, 2, 3, 4, 5].map((stars) => (
+                            <button
+                              key={stars}
+                              onClick={() =>
+                                setRatingDraft({ ...ratingDraft, stars })
+                              }
+                              role="radio"
+                              aria-checked={ratingDraft.stars === stars}
+                              aria-label={`${stars} star${
+                                stars === 1 ? "" : "s"
+                              }`}
+                              style={{
+                                ...styles.starButton,
+                                color:
+                                  stars <= ratingDraft.stars
+                                    ? "#fbbf24"
+                                    : "#4b5563",
+                              }}
+                            >
+                              ★
+                            </button>
+                          ))}
+                        </div>
+                        <textarea
+                          placeholder="A short note (optional)"
+                          value={ratingDraft.note}
+                          maxLength={280}
+                          onChange={(e) =>
+                            setRatingDraft({
+                              ...ratingDraft,
+                              note: e.target.value,
+                            })
+                          }
+                          style={{ ...styles.input, minHeight: "64px" }}
+                        />
+                        <div style={styles.buttonGrid}>
+                          <button
+                            onClick={saveRating}
+                            style={styles.primaryButton}
+                          >
+                            Save Rating
+                          </button>
+                          <button
+                            onClick={() => setRatingMovieId(null)}
+                            style={styles.secondaryButton}
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {suggesterScores.length > 0 && (
+              <div style={styles.historyList}>
+                <h3 style={{ ...styles.formTitle, marginTop: "48px" }}>
+                  Whose Picks Land
+                </h3>
+                {suggesterScores.map((score) => (
+                  <div key={score.name} style={styles.scoreRow}>
+                    <span>👤 {score.name}</span>
+                    <span>
+                      ★ {score.average.toFixed(1)} across {score.count}{" "}
+                      {score.count === 1 ? "pick" : "picks"}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,141 @@
+// Supabase Auth (GoTrue) over plain fetch, returning `{ data, error }` like the
+// rest of the app's Supabase calls.
+
+const SESSION_STORAGE_KEY = "cinemaQueue.session";
+
+const authRequest = async (
+  url,
+  apiKey,
+  path,
+  { method = "POST", body, accessToken } = {}
+) => {
+  try {
+    const response = await fetch(`${url}/auth/v1/${path}`, {
+      method,
+      headers: {
+        apikey: apiKey,
+        Authorization: `Bearer ${accessToken || apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    if (!response.ok) {
+      const message =
+        data?.error_description || data?.msg || data?.message || data?.error;
+      return {
+        data: null,
+        error: new Error(message || `Auth request failed (${response.status})`),
+      };
+    }
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+};
+
+// GoTrue reports a lifetime in seconds; keep an absolute expiry so a stored
+// session can be checked after a reload.
+const withExpiry = (session) => ({
+  ...session,
+  expires_at:
+    session.expires_at ||
+    Math.floor(Date.now() / 1000) + Number(session.expires_in || 3600),
+});
+
+export const signInWithPassword = async ({ url, apiKey, email, password }) => {
+  const { data, error } = await authRequest(
+    url,
+    apiKey,
+    "token?grant_type=password",
+    { body: { email, password } }
+  );
+  return { data: data && withExpiry(data), error };
+};
+
+// Returns a session when email confirmation is disabled (as on a local stack),
+// otherwise just the pending user.
+export const signUp = async ({ url, apiKey, email, password, displayName }) => {
+  const { data, error } = await authRequest(url, apiKey, "signup", {
+    body: { email, password, data: { display_name: displayName } },
+  });
+  return { data: data?.access_token ? withExpiry(data) : data, error };
+};
+
+export const sendMagicLink = ({
+  url,
+  apiKey,
+  email,
+  displayName,
+  redirectTo,
+}) =>
+  authRequest(
+    url,
+    apiKey,
+    `otp?redirect_to=${encodeURIComponent(redirectTo)}`,
+    {
+      body: {
+        email,
+        create_user: true,
+        data: displayName ? { display_name: displayName } : undefined,
+      },
+    }
+  );
+
+export const refreshSession = async ({ url, apiKey, refreshToken }) => {
+  const { data, error } = await authRequest(
+    url,
+    apiKey,
+    "token?grant_type=refresh_token",
+    { body: { refresh_token: refreshToken } }
+  );
+  return { data: data && withExpiry(data), error };
+};
+
+export const getUser = ({ url, apiKey, accessToken }) =>
+  authRequest(url, apiKey, "user", { method: "GET", accessToken });
+
+export const signOut = ({ url, apiKey, accessToken }) =>
+  authRequest(url, apiKey, "logout", { accessToken });
+
+// Magic links land back on the app with the session in the URL fragment.
+// Returns the tokens (without the user) and strips them from the address bar.
+export const readSessionFromUrl = () => {
+  const hash = new URLSearchParams(window.location.hash.slice(1));
+  const accessToken = hash.get("access_token");
+  if (!accessToken) return null;
+
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${window.location.search}`
+  );
+  return withExpiry({
+    access_token: accessToken,
+    refresh_token: hash.get("refresh_token"),
+    expires_in: hash.get("expires_in"),
+    expires_at: Number(hash.get("expires_at")) || undefined,
+    token_type: hash.get("token_type"),
+  });
+};
+
+export const loadStoredSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const storeSession = (session) => {
+  if (session) {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+};
+
+export const getDisplayName = (user) =>
+  user?.user_metadata?.display_name || user?.email?.split("@")[0] || "";
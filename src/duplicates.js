@@ -0,0 +1,46 @@
+import { getReleaseYear } from "./movieMetadata";
+
+// "The Matrix", "Matrix, The" and "the matrix!" all compare equal; accents and
+// punctuation are ignored. Letters and digits in any script are kept, so
+// "Амели" and "千と千尋の神隠し" stay distinct.
+export const normalizeTitle = (title) =>
+  (title || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/,\s*(the|a|an)\s*$/, "")
+    .replace(/^(the|a|an)\s+/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+
+const isSameEntry = (a, b) =>
+  (a.media_type || "movie") === (b.media_type || "movie") &&
+  (a.season_number ?? null) === (b.season_number ?? null) &&
+  (a.episode_number ?? null) === (b.episode_number ?? null);
+
+// A missing year on either side still counts as a match: hand-typed entries
+// often leave it out.
+const isSameTitle = (a, b) => {
+  if (normalizeTitle(a.title) !== normalizeTitle(b.title)) return false;
+  const yearA = getReleaseYear(a);
+  const yearB = getReleaseYear(b);
+  return yearA === null || yearB === null || yearA === yearB;
+};
+
+// The entry in `movies` that `candidate` (a movies row, not yet inserted)
+// would duplicate, or null. TMDB ids are matched exactly; titles are only
+// compared when one side was entered by hand, and never when the title is
+// empty. Another season or episode of the same series isn't a duplicate.
+export const findDuplicate = (movies, candidate) => {
+  const hasTitle = normalizeTitle(candidate.title) !== "";
+  return (
+    movies.find((movie) => {
+      if (!isSameEntry(movie, candidate)) return false;
+      if (candidate.tmdb_id && movie.tmdb_id) {
+        return String(movie.tmdb_id) === String(candidate.tmdb_id);
+      }
+      return hasTitle && isSameTitle(movie, candidate);
+    }) || null
+  );
+};
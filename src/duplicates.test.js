@@ -0,0 +1,68 @@
+import { findDuplicate, normalizeTitle } from "./duplicates";
+
+const queue = [
+  {
+    id: 1,
+    title: "Heat",
+    tmdb_id: "949",
+    media_type: "movie",
+    release_date: "1995-12-15",
+  },
+  { id: 2, title: "The Thing", release_year: "1982" },
+  {
+    id: 3,
+    title: "The Wire",
+    tmdb_id: "1438",
+    media_type: "tv",
+    season_number: 1,
+  },
+];
+
+test("normalizes case, accents, punctuation and leading articles", () => {
+  expect(normalizeTitle("The Matrix")).toBe("matrix");
+  expect(normalizeTitle("Matrix, The")).toBe("matrix");
+  expect(normalizeTitle("Amélie!")).toBe("amelie");
+  expect(normalizeTitle("Fast & Furious")).toBe(
+    normalizeTitle("Fast and Furious")
+  );
+});
+
+test("matches on the TMDB id", () => {
+  expect(
+    findDuplicate(queue, { title: "Heat (1995)", tmdb_id: 949 })
+  ).toMatchObject({ id: 1 });
+  expect(findDuplicate(queue, { title: "Heat", tmdb_id: "1234" })).toBeNull();
+});
+
+test("matches hand-typed entries on title and year", () => {
+  expect(
+    findDuplicate(queue, { title: "thing, the", release_date: "1982-06-25" })
+  ).toMatchObject({ id: 2 });
+  expect(findDuplicate(queue, { title: "The Thing" })).toMatchObject({ id: 2 });
+  expect(
+    findDuplicate(queue, { title: "The Thing", release_date: "2011-10-14" })
+  ).toBeNull();
+});
+
+test("treats other seasons and episodes of a series as new", () => {
+  const wire = { title: "The Wire", tmdb_id: "1438", media_type: "tv" };
+
+  expect(findDuplicate(queue, { ...wire, season_number: 1 })).toMatchObject({
+    id: 3,
+  });
+  expect(findDuplicate(queue, { ...wire, season_number: 2 })).toBeNull();
+  expect(findDuplicate(queue, wire)).toBeNull();
+});
+
+test("keeps titles in other scripts", () => {
+  expect(normalizeTitle("Амели")).toBe("амели");
+  expect(normalizeTitle("千と千尋の神隠し")).toBe("千と千尋の神隠し");
+  expect(normalizeTitle("Амели")).not.toBe(normalizeTitle("Брат"));
+
+  const amelie = { id: 4, title: "Амели", tmdb_id: "194", media_type: "movie" };
+  expect(
+    findDuplicate([amelie], { title: "Амели", tmdb_id: 194 })
+  ).toMatchObject({ id: 4 });
+  expect(findDuplicate([amelie], { title: "Брат" })).toBeNull();
+  expect(findDuplicate([amelie], { title: "Амели" })).toMatchObject({ id: 4 });
+});
@@ -0,0 +1,121 @@
+// Getting the list back out: CSV and JSON of the stored rows, and iCalendar
+// for scheduled movie nights.
+
+// Spreadsheets run text cells starting with these as formulas; a leading
+// quote keeps them as text (CSV injection). Numbers like -1.5 are left alone.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const raw = typeof value === "object" ? JSON.stringify(value) : String(value);
+  const text =
+    typeof value !== "number" && FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Every field that appears on any row, in first-seen order. Arrays and
+// objects (genre ids, ratings) are written as JSON.
+export const toCsv = (rows) => {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(formatCsvCell).join(","))
+    .join("\r\n");
+};
+
+export const toJson = ({ list, queue, history, exportedAt = new Date() }) =>
+  JSON.stringify(
+    {
+      list: list ? { name: list.name, slug: list.slug } : null,
+      exported_at: exportedAt.toISOString(),
+      queue,
+      history,
+    },
+    null,
+    2
+  );
+
+const escapeIcsText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const formatIcsDate = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets continue on the next line after a space
+// (RFC 5545 3.1). Splitting by code point keeps emoji and accents intact.
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = "";
+  let length = 0;
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (length + utf8Length(char) > limit) {
+      parts.push(current);
+      current = "";
+      length = 0;
+    }
+    current += char;
+    length += utf8Length(char);
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// `events` are { uid, start, end, summary, description, url }, with `start`
+// and `end` as Dates; `end` may be null when the runtime isn't known.
+export const toICalendar = (
+  events,
+  { calendarName = "Movie nights", now = new Date() } = {}
+) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Cinema Queue//Movie nights//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatIcsDate(now)}`,
+      `DTSTART:${formatIcsDate(event.start)}`
+    );
+    if (event.end) lines.push(`DTEND:${formatIcsDate(event.end)}`);
+    lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    }
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+};
+
+export const downloadFile = (filename, contents, type) => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
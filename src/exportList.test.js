@@ -0,0 +1,125 @@
+import { toCsv, toICalendar, toJson } from "./exportList";
+
+test("writes every field, quoting where needed", () => {
+  const csv = toCsv([
+    { id: 1, title: "Heat", genre_ids: [28, 80], runtime_minutes: 170 },
+    { id: 2, title: 'Crouching Tiger, "Hidden" Dragon', watched_at: null },
+  ]);
+
+  expect(csv.split("\r\n")).toEqual([
+    "id,title,genre_ids,runtime_minutes,watched_at",
+    '1,Heat,"[28,80]",170,',
+    '2,"Crouching Tiger, ""Hidden"" Dragon",,,',
+  ]);
+});
+
+test("escapes the quotes inside JSON cells", () => {
+  expect(toCsv([{ ratings: [{ stars: 4 }, { stars: 5 }] }])).toBe(
+    'ratings\r\n"[{""stars"":4},{""stars"":5}]"'
+  );
+});
+
+test("bundles the queue and history as JSON", () => {
+  const exported = JSON.parse(
+    toJson({
+      list: { id: 3, name: "Friday Films", slug: "friday-films" },
+      queue: [{ id: 1 }],
+      history: [],
+      exportedAt: new Date("2026-10-19T12:00:00Z"),
+    })
+  );
+
+  expect(exported).toEqual({
+    list: { name: "Friday Films", slug: "friday-films" },
+    exported_at: "2026-10-19T12:00:00.000Z",
+    queue: [{ id: 1 }],
+    history: [],
+  });
+});
+
+test("keeps cells that look like formulas as text", () => {
+  expect(
+    toCsv([
+      { title: '=HYPERLINK("http://x")' },
+      { title: "+1" },
+      { title: "-1" },
+      { title: "@SUM(A1)" },
+      { title: "Heat", position: -1.5 },
+    ])
+  ).toBe(
+    [
+      "title,position",
+      '"\'=HYPERLINK(""http://x"")",',
+      "'+1,",
+      "'-1,",
+      "'@SUM(A1),",
+      "Heat,-1.5",
+    ].join("\r\n")
+  );
+});
+
+describe("toICalendar", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+
+  test("writes one event per night in UTC", () => {
+    const ics = toICalendar(
+      [
+        {
+          uid: "movie-1@cinema-queue",
+          start: new Date("2026-10-23T19:30:00Z"),
+          end: new Date("2026-10-23T22:20:00Z"),
+          summary: "Heat; director's cut, again",
+          description: "Suggested by Sam",
+          url: "https://example.com/movie/1",
+        },
+      ],
+      { now }
+    );
+
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics).toContain(
+      [
+        "BEGIN:VEVENT",
+        "UID:movie-1@cinema-queue",
+        "DTSTAMP:20261019T120000Z",
+        "DTSTART:20261023T193000Z",
+        "DTEND:20261023T222000Z",
+        "SUMMARY:Heat\\; director's cut\\, again",
+        "DESCRIPTION:Suggested by Sam",
+        "URL:https://example.com/movie/1",
+        "END:VEVENT",
+      ].join("\r\n")
+    );
+  });
+
+  test("leaves out the end time when the runtime isn't known", () => {
+    const ics = toICalendar(
+      [{ uid: "a", start: new Date("2026-10-23T19:30:00Z"), summary: "Heat" }],
+      { now }
+    );
+
+    expect(ics).not.toContain("DTEND");
+    expect(ics).not.toContain("DESCRIPTION");
+  });
+
+  test("folds long lines at 75 octets", () => {
+    const ics = toICalendar(
+      [
+        {
+          uid: "a",
+          start: now,
+          summary: `🎬 ${"A very long title ".repeat(8)}`,
+        },
+      ],
+      { now }
+    );
+
+    const lines = ics.split("\r\n");
+    const summary = lines.findIndex((line) => line.startsWith("SUMMARY:"));
+    expect(lines[summary + 1].startsWith(" ")).toBe(true);
+    lines.forEach((line) =>
+      expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75)
+    );
+  });
+});
@@ -0,0 +1,167 @@
+import { normalizeTitle } from "./duplicates";
+import { getReleaseYear } from "./movieMetadata";
+
+// Reading watchlist exports (plain CSV, Letterboxd, IMDb) and matching their
+// rows to TMDB titles for the import screen.
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes.
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+const toYear = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+// `data` is { format, entries: [{ title, year, imdbId, mediaType }] }.
+// Letterboxd exports have a "Letterboxd URI" column and IMDb exports a
+// "Const" (tt...) one; anything else needs a Title or Name column. A plain
+// CSV doesn't say whether a row is a film or a series, so its mediaType is
+// null.
+export const parseImportFile = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { data: null, error: new Error("The file is empty") };
+  }
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const column = (...names) =>
+    columns.findIndex((name) => names.includes(name));
+
+  let format = "csv";
+  let titleColumn = column("title", "name", "film", "movie");
+  if (columns.includes("letterboxd uri")) {
+    format = "letterboxd";
+    titleColumn = column("name");
+  } else if (columns.includes("const")) {
+    format = "imdb";
+    titleColumn = column("title");
+  }
+  if (titleColumn === -1) {
+    return {
+      data: null,
+      error: new Error("Couldn't find a Title or Name column"),
+    };
+  }
+
+  const yearColumn = column("year", "release year");
+  const imdbColumn = format === "imdb" ? column("const") : -1;
+  const typeColumn = format === "imdb" ? column("title type") : -1;
+
+  const entries = rows
+    .map((cells) => ({
+      title: (cells[titleColumn] || "").trim(),
+      year: yearColumn === -1 ? null : toYear(cells[yearColumn]),
+      imdbId: imdbColumn === -1 ? null : cells[imdbColumn]?.trim() || null,
+      mediaType:
+        format === "csv"
+          ? null
+          : /series/i.test(cells[typeColumn] || "")
+            ? "tv"
+            : "movie",
+    }))
+    .filter((entry) => entry.title);
+
+  return { data: { format, entries }, error: null };
+};
+
+const getResultYear = (result) =>
+  getReleaseYear({
+    release_date: result.release_date || result.first_air_date,
+  });
+
+const MAX_CANDIDATES = 5;
+
+// A single result with the same title (and year, when the file has one) is
+// a match; anything else is left for someone to review.
+export const classifyMatches = (entry, results) => {
+  const title = normalizeTitle(entry.title);
+  const exact = results.filter(
+    (result) =>
+      title !== "" &&
+      normalizeTitle(result.title || result.name) === title &&
+      (entry.year === null || getResultYear(result) === entry.year)
+  );
+
+  if (exact.length === 1) {
+    return { entry, status: "matched", candidates: exact };
+  }
+  if (results.length === 0) {
+    return { entry, status: "unmatched", candidates: [] };
+  }
+  return {
+    entry,
+    status: "ambiguous",
+    candidates: (exact.length > 0 ? exact : results).slice(0, MAX_CANDIDATES),
+  };
+};
+
+// One entry at a time, like the metadata backfill, to stay inside TMDB's rate
+// limit. A failed lookup leaves that entry unmatched. Resolves to null once
+// `signal` is aborted.
+export const matchImportEntries = async ({
+  entries,
+  searchTitles,
+  findByImdbId,
+  onProgress = () => {},
+  signal,
+}) => {
+  const matches = [];
+
+  for (const [index, entry] of entries.entries()) {
+    if (signal?.aborted) return null;
+    onProgress({ done: index, total: entries.length });
+    try {
+      const found = entry.imdbId ? await findByImdbId(entry.imdbId) : null;
+      matches.push(
+        found
+          ? { entry, status: "matched", candidates: [found] }
+          : classifyMatches(entry, await searchTitles(entry))
+      );
+    } catch (error) {
+      matches.push({ entry, status: "unmatched", candidates: [] });
+    }
+  }
+  if (signal?.aborted) return null;
+
+  onProgress({ done: entries.length, total: entries.length });
+  return matches;
+};
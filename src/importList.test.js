@@ -0,0 +1,150 @@
+import {
+  classifyMatches,
+  matchImportEntries,
+  parseCsv,
+  parseImportFile,
+} from "./importList";
+
+test("parses quoted fields, doubled quotes and CRLF line endings", () => {
+  expect(
+    parseCsv(
+      '\uFEFFTitle,Year\r\n"Crouching Tiger, Hidden Dragon",2000\r\n"The ""Burbs""",\r\n\r\n'
+    )
+  ).toEqual([
+    ["Title", "Year"],
+    ["Crouching Tiger, Hidden Dragon", "2000"],
+    ['The "Burbs"', ""],
+  ]);
+});
+
+test("reads a Letterboxd watchlist export", () => {
+  const { data } = parseImportFile(
+    "Date,Name,Year,Letterboxd URI\n2024-01-02,Heat,1995,https://boxd.it/2a0\n"
+  );
+
+  expect(data.format).toBe("letterboxd");
+  expect(data.entries).toEqual([
+    { title: "Heat", year: 1995, imdbId: null, mediaType: "movie" },
+  ]);
+});
+
+test("reads IMDb ids and series from an IMDb list export", () => {
+  const { data } = parseImportFile(
+    [
+      "Position,Const,Created,Modified,Description,Title,URL,Title Type,Year",
+      "1,tt0113277,2024-01-01,,,Heat,https://www.imdb.com/title/tt0113277/,Movie,1995",
+      "2,tt0306414,2024-01-01,,,The Wire,https://www.imdb.com/title/tt0306414/,TV Series,2002",
+    ].join("\n")
+  );
+
+  expect(data.format).toBe("imdb");
+  expect(data.entries.map((entry) => [entry.imdbId, entry.mediaType])).toEqual([
+    ["tt0113277", "movie"],
+    ["tt0306414", "tv"],
+  ]);
+});
+
+test("needs a title column in a plain CSV", () => {
+  expect(parseImportFile("Film,Year\nHeat,1995").data.entries).toEqual([
+    { title: "Heat", year: 1995, imdbId: null, mediaType: null },
+  ]);
+  expect(parseImportFile("Rating,Year\n5,1995").error.message).toMatch(
+    /Title or Name/
+  );
+  expect(parseImportFile("").error).toBeInstanceOf(Error);
+});
+
+describe("classifyMatches", () => {
+  const thing1982 = { id: 1, title: "The Thing", release_date: "1982-06-25" };
+  const thing2011 = { id: 2, title: "The Thing", release_date: "2011-10-14" };
+  const thingsToCome = { id: 3, title: "Things to Come" };
+
+  test("matches a single result with the same title and year", () => {
+    const match = classifyMatches({ title: "The Thing", year: 1982 }, [
+      thing2011,
+      thing1982,
+      thingsToCome,
+    ]);
+
+    expect(match.status).toBe("matched");
+    expect(match.candidates).toEqual([thing1982]);
+  });
+
+  test("leaves remakes without a year for review", () => {
+    const match = classifyMatches({ title: "the thing", year: null }, [
+      thing2011,
+      thing1982,
+      thingsToCome,
+    ]);
+
+    expect(match.status).toBe("ambiguous");
+    expect(match.candidates).toEqual([thing2011, thing1982]);
+  });
+
+  test("tells titles in other scripts apart", () => {
+    const amelie = { id: 194, title: "Амели", release_date: "2001-04-25" };
+    const brother = { id: 20992, title: "Брат", release_date: "1997-05-17" };
+
+    expect(classifyMatches({ title: "Амели", year: null }, [brother])).toEqual({
+      entry: { title: "Амели", year: null },
+      status: "ambiguous",
+      candidates: [brother],
+    });
+    expect(
+      classifyMatches({ title: "Амели", year: null }, [brother, amelie])
+        .candidates
+    ).toEqual([amelie]);
+  });
+
+  test("offers the search results when nothing matches exactly", () => {
+    expect(
+      classifyMatches({ title: "Thing", year: null }, [thingsToCome]).status
+    ).toBe("ambiguous");
+    expect(classifyMatches({ title: "Zzz", year: null }, []).status).toBe(
+      "unmatched"
+    );
+  });
+});
+
+test("prefers IMDb ids and leaves failed lookups unmatched", async () => {
+  const heat = { id: 949, title: "Heat", media_type: "movie" };
+  const findByImdbId = jest.fn(() => Promise.resolve(heat));
+  const searchTitles = jest.fn(() => Promise.reject(new Error("429")));
+
+  const matches = await matchImportEntries({
+    entries: [
+      { title: "Heat", year: 1995, imdbId: "tt0113277" },
+      { title: "Thief", year: 1981, imdbId: null },
+    ],
+    searchTitles,
+    findByImdbId,
+  });
+
+  expect(matches.map((match) => match.status)).toEqual([
+    "matched",
+    "unmatched",
+  ]);
+  expect(matches[0].candidates).toEqual([heat]);
+  expect(searchTitles).toHaveBeenCalledTimes(1);
+});
+
+test("stops matching once aborted", async () => {
+  const controller = new AbortController();
+  const searchTitles = jest.fn(() => {
+    controller.abort();
+    return Promise.resolve([]);
+  });
+
+  const matches = await matchImportEntries({
+    entries: [
+      { title: "Heat", year: 1995, imdbId: null },
+      { title: "Thief", year: 1981, imdbId: null },
+    ],
+    searchTitles,
+    findByImdbId: jest.fn(),
+    signal: controller.signal,
+  });
+
+  expect(matches).toBeNull();
+  expect(searchTitles).toHaveBeenCalledTimes(1);
+});
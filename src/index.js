@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,6 +12,14 @@ root.render(
   </React.StrictMode>
 );
 
+// Makes the app installable and usable offline. A new version takes over as
+// soon as it's downloaded; queued offline changes live in IndexedDB, so
+// nothing is lost when the next load picks it up.
+serviceWorkerRegistration.register({
+  onUpdate: (registration) =>
+    registration.waiting?.postMessage({ type: 'SKIP_WAITING' }),
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -0,0 +1,182 @@
+// Structured movie metadata (genre ids, runtime minutes, release date, original
+// language, TMDB vote average) and how it's displayed. Rows added before the
+// structured columns existed still carry the old display strings (`genre`,
+// `runtime`, `release_year`), which are read as a fallback until the backfill
+// below has filled them in.
+
+export const MOVIE_GENRES = {
+  28: "Action",
+  12: "Adventure",
+  16: "Animation",
+  35: "Comedy",
+  80: "Crime",
+  99: "Documentary",
+  18: "Drama",
+  10751: "Family",
+  14: "Fantasy",
+  36: "History",
+  27: "Horror",
+  10402: "Music",
+  9648: "Mystery",
+  10749: "Romance",
+  878: "Science Fiction",
+  10770: "TV Movie",
+  53: "Thriller",
+  10752: "War",
+  37: "Western",
+};
+
+export const TV_GENRES = {
+  10759: "Action & Adventure",
+  16: "Animation",
+  35: "Comedy",
+  80: "Crime",
+  99: "Documentary",
+  18: "Drama",
+  10751: "Family",
+  10762: "Kids",
+  9648: "Mystery",
+  10763: "News",
+  10764: "Reality",
+  10765: "Sci-Fi & Fantasy",
+  10766: "Soap",
+  10767: "Talk",
+  10768: "War & Politics",
+  37: "Western",
+};
+
+// TMDB uses one id space for both lists; shared ids have the same name.
+const GENRE_NAMES = { ...MOVIE_GENRES, ...TV_GENRES };
+
+const GENRE_IDS_BY_NAME = Object.fromEntries(
+  Object.entries(GENRE_NAMES).map(([id, name]) => [
+    name.toLowerCase(),
+    Number(id),
+  ])
+);
+
+const parseLegacyGenres = (genre) =>
+  (genre || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+export const getGenreNames = (movie) =>
+  movie.genre_ids?.length
+    ? movie.genre_ids.map((id) => GENRE_NAMES[id]).filter(Boolean)
+    : parseLegacyGenres(movie.genre);
+
+// Legacy names TMDB doesn't know (typed in by hand) are dropped.
+export const getGenreIds = (movie) =>
+  movie.genre_ids?.length
+    ? movie.genre_ids
+    : parseLegacyGenres(movie.genre)
+        .map((name) => GENRE_IDS_BY_NAME[name.toLowerCase()])
+        .filter(Boolean);
+
+export const getRuntimeMinutes = (movie) => {
+  if (movie.runtime_minutes != null) return movie.runtime_minutes;
+  const minutes = parseInt(movie.runtime, 10);
+  return Number.isNaN(minutes) ? null : minutes;
+};
+
+export const getReleaseYear = (movie) => {
+  const year = parseInt(movie.release_date || movie.release_year, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+export const formatRuntime = (minutes) => {
+  if (!minutes) return "";
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+// Dates are stored without a time zone; format them as the calendar date.
+export const formatReleaseDate = (date) =>
+  date
+    ? new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    : "";
+
+export const formatLanguage = (code) => {
+  if (!code) return "";
+  try {
+    return (
+      new Intl.DisplayNames(undefined, { type: "language" }).of(code) || code
+    );
+  } catch (error) {
+    return code.toUpperCase();
+  }
+};
+
+export const formatVoteAverage = (voteAverage) =>
+  voteAverage ? `TMDB ${Number(voteAverage).toFixed(1)}` : "";
+
+// Maps a TMDB /movie or /tv details response onto the structured columns.
+export const metadataFromTmdb = (details) => ({
+  genre_ids: (details?.genres || []).map((genre) => genre.id),
+  runtime_minutes: details?.runtime || details?.episode_run_time?.[0] || null,
+  release_date: details?.release_date || details?.first_air_date || null,
+  original_language: details?.original_language || null,
+  vote_average: details?.vote_average ?? null,
+});
+
+const isMissing = (value) =>
+  value === null ||
+  value === undefined ||
+  (Array.isArray(value) && value.length === 0);
+
+export const needsMetadataBackfill = (movie) =>
+  Boolean(movie.tmdb_id) &&
+  ["genre_ids", "runtime_minutes", "release_date", "original_language"].some(
+    (field) => isMissing(movie[field])
+  );
+
+// Re-fetches TMDB details for rows still missing structured fields and fills
+// in only what's missing, so anything set by hand (or per episode) is kept.
+// Runs one title at a time to stay well inside TMDB's rate limit.
+export const backfillMetadata = async ({
+  movies,
+  fetchDetails,
+  saveChanges,
+  onProgress = () => {},
+}) => {
+  const pending = movies.filter(needsMetadataBackfill);
+  let updated = 0;
+  let failed = 0;
+
+  for (const [index, movie] of pending.entries()) {
+    onProgress({ done: index, total: pending.length });
+    let details = null;
+    try {
+      details = await fetchDetails(movie.media_type || "movie", movie.tmdb_id);
+    } catch (error) {
+      details = null;
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(metadataFromTmdb(details)).filter(
+        ([field, value]) => isMissing(movie[field]) && !isMissing(value)
+      )
+    );
+    if (!details || Object.keys(changes).length === 0) {
+      failed += details ? 0 : 1;
+      continue;
+    }
+
+    const { error } = await saveChanges(movie, changes);
+    if (error) {
+      failed += 1;
+    } else {
+      updated += 1;
+    }
+  }
+
+  onProgress({ done: pending.length, total: pending.length });
+  return { updated, failed };
+};
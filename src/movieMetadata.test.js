@@ -0,0 +1,112 @@
+import {
+  backfillMetadata,
+  formatRuntime,
+  getGenreIds,
+  getGenreNames,
+  getReleaseYear,
+  getRuntimeMinutes,
+  metadataFromTmdb,
+  needsMetadataBackfill,
+} from "./movieMetadata";
+
+const legacyMovie = {
+  id: 1,
+  tmdb_id: "949",
+  title: "Heat",
+  genre: "Action, Crime, Heist",
+  runtime: "170 min",
+  release_year: "1995",
+};
+
+test("reads structured fields, falling back to the old strings", () => {
+  expect(getGenreNames(legacyMovie)).toEqual(["Action", "Crime", "Heist"]);
+  expect(getRuntimeMinutes(legacyMovie)).toBe(170);
+  expect(getReleaseYear(legacyMovie)).toBe(1995);
+
+  const movie = {
+    ...legacyMovie,
+    genre_ids: [18, 10765],
+    runtime_minutes: 45,
+    release_date: "2008-01-20",
+  };
+  expect(getGenreNames(movie)).toEqual(["Drama", "Sci-Fi & Fantasy"]);
+  expect(getRuntimeMinutes(movie)).toBe(45);
+  expect(getReleaseYear(movie)).toBe(2008);
+});
+
+test("maps old genre names onto TMDB ids, dropping unknown ones", () => {
+  expect(getGenreIds(legacyMovie)).toEqual([28, 80]);
+  expect(getGenreIds({ genre: "science fiction" })).toEqual([878]);
+  expect(getGenreIds({ genre_ids: [35] })).toEqual([35]);
+});
+
+test("formats runtimes as hours and minutes", () => {
+  expect(formatRuntime(170)).toBe("2h 50m");
+  expect(formatRuntime(120)).toBe("2h");
+  expect(formatRuntime(45)).toBe("45m");
+  expect(formatRuntime(null)).toBe("");
+});
+
+test("reads movie and series details from TMDB", () => {
+  expect(
+    metadataFromTmdb({
+      genres: [{ id: 80, name: "Crime" }],
+      episode_run_time: [58],
+      first_air_date: "2002-06-02",
+      original_language: "en",
+      vote_average: 8.6,
+    })
+  ).toEqual({
+    genre_ids: [80],
+    runtime_minutes: 58,
+    release_date: "2002-06-02",
+    original_language: "en",
+    vote_average: 8.6,
+  });
+});
+
+describe("backfillMetadata", () => {
+  const details = {
+    genres: [{ id: 28 }, { id: 80 }],
+    runtime: 170,
+    release_date: "1995-12-15",
+    original_language: "en",
+    vote_average: 7.9,
+  };
+
+  test("fills in only the fields that are missing", async () => {
+    const movie = { ...legacyMovie, runtime_minutes: 171, genre_ids: [] };
+    const saveChanges = jest.fn(() => Promise.resolve({ error: null }));
+
+    const result = await backfillMetadata({
+      movies: [movie],
+      fetchDetails: () => Promise.resolve(details),
+      saveChanges,
+    });
+
+    expect(saveChanges).toHaveBeenCalledWith(movie, {
+      genre_ids: [28, 80],
+      release_date: "1995-12-15",
+      original_language: "en",
+      vote_average: 7.9,
+    });
+    expect(result).toEqual({ updated: 1, failed: 0 });
+  });
+
+  test("skips titles without a TMDB id and counts failed lookups", async () => {
+    const fetchDetails = jest.fn(() => Promise.reject(new Error("429")));
+    const onProgress = jest.fn();
+
+    const result = await backfillMetadata({
+      movies: [legacyMovie, { id: 2, title: "Home video" }],
+      fetchDetails,
+      saveChanges: jest.fn(),
+      onProgress,
+    });
+
+    expect(needsMetadataBackfill({ id: 2, title: "Home video" })).toBe(false);
+    expect(fetchDetails).toHaveBeenCalledWith("movie", "949");
+    expect(result).toEqual({ updated: 0, failed: 1 });
+    expect(onProgress).toHaveBeenLastCalledWith({ done: 1, total: 1 });
+  });
+});
@@ -0,0 +1,104 @@
+import { getRuntimeMinutes } from "./movieMetadata";
+
+// Movie nights: queued titles booked with a `scheduled_at` time, and the
+// list's `night_ends_at` time they should be finished by.
+
+export const DEFAULT_NIGHT_ENDS_AT = "23:00";
+
+// Used to decide when a night is over if the runtime isn't known.
+const DEFAULT_RUNTIME_MINUTES = 120;
+
+const addMinutes = (date, minutes) =>
+  new Date(date.getTime() + minutes * 60000);
+
+export const getNightEnd = (movie) =>
+  addMinutes(
+    new Date(movie.scheduled_at),
+    getRuntimeMinutes(movie) || DEFAULT_RUNTIME_MINUTES
+  );
+
+// The night that's on now or comes next; finished ones are skipped.
+export const getNextNight = (movies, now = new Date()) =>
+  movies
+    .filter((movie) => movie.scheduled_at && getNightEnd(movie) > now)
+    .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at))[0] ||
+  null;
+
+// An end time before noon ("01:00") means the early hours after the night
+// starts; otherwise it's the same evening, so a start after it also warns.
+export const getEndTimeWarning = (
+  start,
+  runtimeMinutes,
+  nightEndsAt = DEFAULT_NIGHT_ENDS_AT
+) => {
+  if (!start || !runtimeMinutes) return null;
+  const [hours, minutes] = nightEndsAt.split(":").map(Number);
+  const limit = new Date(start);
+  limit.setHours(hours, minutes, 0, 0);
+  if (limit <= start && hours < 12) limit.setDate(limit.getDate() + 1);
+
+  const endsAt = addMinutes(start, runtimeMinutes);
+  return endsAt > limit ? { endsAt, limit } : null;
+};
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// Calendar days are local, like the times people type in.
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// <input type="datetime-local"> works in local time without a zone.
+export const toLocalInputValue = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return `${toDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const fromLocalInputValue = (value) =>
+  value ? new Date(value).toISOString() : null;
+
+// Weeks (Sunday first) covering the month, padded with the neighbouring
+// months' days.
+export const getMonthGrid = (year, month) => {
+  const first = new Date(year, month, 1);
+  const start = new Date(year, month, 1 - first.getDay());
+  const weeks = [];
+  for (
+    let day = start;
+    weeks.length === 0 || day.getMonth() === month;
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 7)
+  ) {
+    weeks.push(
+      Array.from(
+        { length: 7 },
+        (_, index) =>
+          new Date(day.getFullYear(), day.getMonth(), day.getDate() + index)
+      )
+    );
+  }
+  return weeks;
+};
+
+export const groupNightsByDay = (movies) =>
+  movies
+    .filter((movie) => movie.scheduled_at)
+    .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at))
+    .reduce((days, movie) => {
+      const key = toDateKey(new Date(movie.scheduled_at));
+      return { ...days, [key]: [...(days[key] || []), movie] };
+    }, {});
+
+export const formatTime = (date) =>
+  new Date(date).toLocaleTimeString(undefined, {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+export const formatNight = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
@@ -0,0 +1,85 @@
+import {
+  fromLocalInputValue,
+  getEndTimeWarning,
+  getMonthGrid,
+  getNextNight,
+  groupNightsByDay,
+  toDateKey,
+  toLocalInputValue,
+} from "./movieNights";
+
+// Local times, so the tests don't depend on the machine's time zone.
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+describe("getNextNight", () => {
+  const heat = {
+    id: 1,
+    scheduled_at: at(23, 19, 30).toISOString(),
+    runtime_minutes: 170,
+  };
+  const thief = { id: 2, scheduled_at: at(30, 20).toISOString() };
+  const unscheduled = { id: 3 };
+
+  test("picks the earliest night that isn't over", () => {
+    expect(getNextNight([thief, unscheduled, heat], at(20, 12))).toBe(heat);
+    expect(getNextNight([thief, heat], at(23, 22))).toBe(heat);
+    expect(getNextNight([thief, heat], at(23, 22, 30))).toBe(thief);
+  });
+
+  test("assumes two hours when the runtime isn't known", () => {
+    expect(getNextNight([thief], at(30, 21, 59))).toBe(thief);
+    expect(getNextNight([thief], at(30, 22, 1))).toBeNull();
+    expect(getNextNight([unscheduled], at(20, 12))).toBeNull();
+  });
+});
+
+describe("getEndTimeWarning", () => {
+  test("warns when the runtime runs past the end time", () => {
+    const warning = getEndTimeWarning(at(23, 21), 170, "23:00");
+
+    expect(warning.endsAt).toEqual(at(23, 23, 50));
+    expect(warning.limit).toEqual(at(23, 23));
+    expect(getEndTimeWarning(at(23, 20), 170, "23:00")).toBeNull();
+  });
+
+  test("reads early-morning end times as the next day", () => {
+    expect(getEndTimeWarning(at(23, 22), 200, "01:00").limit).toEqual(
+      at(24, 1)
+    );
+    expect(getEndTimeWarning(at(23, 22), 120, "01:00")).toBeNull();
+  });
+
+  test("warns about a start after the end time", () => {
+    expect(getEndTimeWarning(at(23, 23, 30), 90, "23:00")).not.toBeNull();
+  });
+
+  test("can't warn without a runtime", () => {
+    expect(getEndTimeWarning(at(23, 21), null, "23:00")).toBeNull();
+  });
+});
+
+test("round-trips datetime-local values", () => {
+  const value = toLocalInputValue(at(23, 19, 30).toISOString());
+
+  expect(value).toBe("2026-10-23T19:30");
+  expect(fromLocalInputValue(value)).toBe(at(23, 19, 30).toISOString());
+  expect(fromLocalInputValue("")).toBeNull();
+});
+
+test("lays out whole weeks, Sunday first", () => {
+  const weeks = getMonthGrid(2026, 9);
+
+  expect(weeks).toHaveLength(5);
+  expect(toDateKey(weeks[0][0])).toBe("2026-09-27");
+  expect(toDateKey(weeks[4][6])).toBe("2026-10-31");
+  weeks.forEach((week) => expect(week[0].getDay()).toBe(0));
+});
+
+test("groups nights by local day in time order", () => {
+  const late = { id: 1, scheduled_at: at(23, 21).toISOString() };
+  const early = { id: 2, scheduled_at: at(23, 18).toISOString() };
+
+  expect(groupNightsByDay([late, { id: 3 }, early])).toEqual({
+    "2026-10-23": [early, late],
+  });
+});
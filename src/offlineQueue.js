@@ -0,0 +1,179 @@
+// Sending and replaying queued writes. A mutation is a plain object so it can
+// be stored in IndexedDB while offline:
+//
+//   { table, type: "insert", row }
+//   { table, type: "insert", rows }      (several rows in one request)
+//   { table, type: "update", id, changes, base }
+//   { table, type: "delete", id, base }
+//
+// `base` holds the fields the user saw before making the change; on replay it
+// is compared with the server row to spot edits made elsewhere in the meantime.
+
+const LOCAL_ID_PREFIX = "local-";
+
+export const createLocalId = () =>
+  `${LOCAL_ID_PREFIX}${
+    window.crypto?.randomUUID?.() ||
+    `${Date.now()}-${Math.random().toString(36).slice(2)}`
+  }`;
+
+export const isLocalId = (id) =>
+  typeof id === "string" && id.startsWith(LOCAL_ID_PREFIX);
+
+export const pickFields = (row, fields) =>
+  Object.fromEntries(fields.map((field) => [field, row?.[field] ?? null]));
+
+export const getInsertRows = (mutation) => mutation.rows || [mutation.row];
+
+// Rows created offline carry a placeholder id; let the database assign one.
+const withoutLocalId = (row) => {
+  const { id, ...fields } = row;
+  return isLocalId(id) ? fields : row;
+};
+
+export const sendMutation = (client, mutation) => {
+  const { table, type, id, changes } = mutation;
+  if (type === "insert") {
+    return client
+      .from(table)
+      .insert(getInsertRows(mutation).map(withoutLocalId))
+      .select();
+  }
+  if (type === "update") {
+    return client.from(table).update(changes).eq("id", id);
+  }
+  return client.from(table).delete().eq("id", id);
+};
+
+const sameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const remapIds = (mutation, idMap) => {
+  const remap = (value) => idMap[value] ?? value;
+  const remapRow = (row) =>
+    row.movie_id !== undefined
+      ? { ...row, movie_id: remap(row.movie_id) }
+      : row;
+  return {
+    ...mutation,
+    ...(mutation.id !== undefined ? { id: remap(mutation.id) } : {}),
+    ...(mutation.row ? { row: remapRow(mutation.row) } : {}),
+    ...(mutation.rows ? { rows: mutation.rows.map(remapRow) } : {}),
+  };
+};
+
+const stripKey = ({ key, ...mutation }) => mutation;
+
+// Replays queued mutations in order. Stops (leaving the rest queued) as soon as
+// the network fails again. Conflicts are resolved per field with the server
+// winning, and reported through `onConflict`; errors that retrying can't fix
+// (permissions, validation) are reported the same way and dropped.
+export const replayMutations = async ({
+  client,
+  store,
+  onRemap = () => {},
+  onConflict = () => {},
+}) => {
+  const mutations = await store.readMutations();
+  const idMap = {};
+
+  for (let index = 0; index < mutations.length; index += 1) {
+    const stored = mutations[index];
+    const mutation = remapIds(stored, idMap);
+    let result;
+
+    if (mutation.type === "insert") {
+      // Rows pointing at a row whose own insert was dropped go too.
+      const rows = getInsertRows(mutation).filter(
+        (row) => !isLocalId(row.movie_id)
+      );
+      if (rows.length === 0) {
+        await store.removeMutation(stored.key);
+        continue;
+      }
+      result = await sendMutation(client, {
+        table: mutation.table,
+        type: "insert",
+        rows,
+      });
+      if (!result.error && result.data?.length) {
+        rows.forEach((row, rowIndex) => {
+          const created = result.data[rowIndex];
+          if (row.id === undefined || !created) return;
+          idMap[row.id] = created.id;
+          onRemap(mutation.table, row.id, created);
+        });
+
+        // Persist the real id on what's left so a later interruption doesn't
+        // strand mutations pointing at the placeholder.
+        for (const later of mutations.slice(index + 1)) {
+          const remapped = remapIds(later, idMap);
+          if (JSON.stringify(remapped) !== JSON.stringify(later)) {
+            await store.replaceMutation(later.key, stripKey(remapped));
+          }
+        }
+      }
+    } else if (isLocalId(mutation.id)) {
+      await store.removeMutation(stored.key);
+      continue;
+    } else {
+      const current = await client
+        .from(mutation.table)
+        .select()
+        .eq("id", mutation.id);
+      if (current.error?.isNetworkError) return { stopped: true };
+
+      const serverRow = current.data?.[0];
+      if (!serverRow) {
+        if (mutation.type === "update") {
+          onConflict({ mutation, reason: "deleted" });
+        }
+        await store.removeMutation(stored.key);
+        continue;
+      }
+
+      const conflictingFields = Object.keys(mutation.base || {}).filter(
+        (field) => !sameValue(serverRow[field], mutation.base[field])
+      );
+
+      if (mutation.type === "delete") {
+        if (conflictingFields.length > 0) {
+          onConflict({
+            mutation,
+            reason: "changed",
+            fields: conflictingFields,
+          });
+          await store.removeMutation(stored.key);
+          continue;
+        }
+        result = await sendMutation(client, mutation);
+      } else {
+        const changes = Object.fromEntries(
+          Object.entries(mutation.changes).filter(
+            ([field]) => !conflictingFields.includes(field)
+          )
+        );
+        if (conflictingFields.length > 0) {
+          onConflict({
+            mutation,
+            reason: "changed",
+            fields: conflictingFields,
+          });
+        }
+        if (Object.keys(changes).length === 0) {
+          await store.removeMutation(stored.key);
+          continue;
+        }
+        result = await sendMutation(client, { ...mutation, changes });
+      }
+    }
+
+    if (result.error?.isNetworkError) return { stopped: true };
+    if (result.error) {
+      onConflict({ mutation, reason: "rejected", error: result.error });
+    }
+    await store.removeMutation(stored.key);
+  }
+
+  return { stopped: false };
+};
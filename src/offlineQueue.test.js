@@ -0,0 +1,214 @@
+import { replayMutations, sendMutation } from "./offlineQueue";
+import { SupabaseError } from "./supabaseClient";
+
+// A stand-in for the Supabase client that records writes and serves reads
+// from an in-memory table.
+const createFakeClient = (rows = {}) => {
+  const writes = [];
+  let nextId = 100;
+  let failWrites = false;
+
+  const from = (table) => ({
+    select: () => ({
+      eq: (column, value) =>
+        Promise.resolve({
+          data: (rows[table] || []).filter((row) => row[column] === value),
+          error: null,
+        }),
+    }),
+    insert: (inserted) => ({
+      select: () => {
+        if (failWrites) {
+          return Promise.resolve({ data: null, error: new SupabaseError("") });
+        }
+        const created = inserted.map((row) => {
+          writes.push({ table, type: "insert", row });
+          return { ...row, id: (nextId += 1) };
+        });
+        return Promise.resolve({ data: created, error: null });
+      },
+    }),
+    update: (changes) => ({
+      eq: (column, id) => {
+        writes.push({ table, type: "update", id, changes });
+        return Promise.resolve({ data: null, error: null });
+      },
+    }),
+    delete: () => ({
+      eq: (column, id) => {
+        writes.push({ table, type: "delete", id });
+        return Promise.resolve({ data: null, error: null });
+      },
+    }),
+  });
+
+  return {
+    from,
+    writes,
+    goOffline: () => {
+      failWrites = true;
+    },
+  };
+};
+
+const createFakeStore = (mutations) => {
+  let queued = mutations.map((mutation, index) => ({
+    ...mutation,
+    key: index + 1,
+  }));
+  return {
+    readMutations: () => Promise.resolve(queued),
+    replaceMutation: (key, mutation) => {
+      queued = queued.map((m) => (m.key === key ? { ...mutation, key } : m));
+      return Promise.resolve();
+    },
+    removeMutation: (key) => {
+      queued = queued.filter((m) => m.key !== key);
+      return Promise.resolve();
+    },
+    remaining: () => queued,
+  };
+};
+
+test("sendMutation lets the database assign ids to rows made offline", async () => {
+  const client = createFakeClient();
+
+  await sendMutation(client, {
+    table: "movies",
+    type: "insert",
+    row: { id: "local-abc", title: "Alien" },
+  });
+
+  expect(client.writes[0].row).toEqual({ title: "Alien" });
+});
+
+test("replays in order and points later mutations at the new row", async () => {
+  const client = createFakeClient();
+  const store = createFakeStore([
+    { table: "movies", type: "insert", row: { id: "local-1", title: "Heat" } },
+    {
+      table: "votes",
+      type: "insert",
+      row: { id: "local-2", movie_id: "local-1", value: 1 },
+    },
+  ]);
+
+  const result = await replayMutations({ client, store });
+
+  expect(result).toEqual({ stopped: false });
+  expect(client.writes[1].row).toEqual({ movie_id: 101, value: 1 });
+  expect(store.remaining()).toEqual([]);
+});
+
+test("sends several rows in one insert and remaps each of them", async () => {
+  const client = createFakeClient();
+  const onRemap = jest.fn();
+  const store = createFakeStore([
+    {
+      table: "movies",
+      type: "insert",
+      rows: [
+        { id: "local-1", title: "Heat" },
+        { id: "local-2", title: "Thief" },
+      ],
+    },
+    {
+      table: "votes",
+      type: "insert",
+      row: { id: "local-3", movie_id: "local-2", value: 1 },
+    },
+  ]);
+
+  await replayMutations({ client, store, onRemap });
+
+  expect(client.writes.map((write) => write.row)).toEqual([
+    { title: "Heat" },
+    { title: "Thief" },
+    { movie_id: 102, value: 1 },
+  ]);
+  expect(onRemap).toHaveBeenCalledWith(
+    "movies",
+    "local-2",
+    expect.objectContaining({ id: 102, title: "Thief" })
+  );
+  expect(store.remaining()).toEqual([]);
+});
+
+test("keeps the server's value for fields edited elsewhere", async () => {
+  const client = createFakeClient({
+    movies: [{ id: 5, title: "Renamed", priority: "low" }],
+  });
+  const onConflict = jest.fn();
+  const store = createFakeStore([
+    {
+      table: "movies",
+      type: "update",
+      id: 5,
+      changes: { title: "Mine", priority: "high" },
+      base: { title: "Original", priority: "low" },
+    },
+  ]);
+
+  await replayMutations({ client, store, onConflict });
+
+  expect(client.writes).toEqual([
+    { table: "movies", type: "update", id: 5, changes: { priority: "high" } },
+  ]);
+  expect(onConflict).toHaveBeenCalledWith(
+    expect.objectContaining({ reason: "changed", fields: ["title"] })
+  );
+});
+
+test("drops an update to a movie that was removed meanwhile", async () => {
+  const client = createFakeClient({ movies: [] });
+  const onConflict = jest.fn();
+  const store = createFakeStore([
+    {
+      table: "movies",
+      type: "update",
+      id: 5,
+      changes: { priority: "high" },
+      base: { priority: "low" },
+    },
+  ]);
+
+  await replayMutations({ client, store, onConflict });
+
+  expect(client.writes).toEqual([]);
+  expect(onConflict).toHaveBeenCalledWith(
+    expect.objectContaining({ reason: "deleted" })
+  );
+  expect(store.remaining()).toEqual([]);
+});
+
+test("doesn't delete a movie someone edited after it was removed offline", async () => {
+  const client = createFakeClient({
+    movies: [{ id: 5, title: "Heat", priority: "high" }],
+  });
+  const store = createFakeStore([
+    {
+      table: "movies",
+      type: "delete",
+      id: 5,
+      base: { title: "Heat", priority: "low" },
+    },
+  ]);
+
+  await replayMutations({ client, store });
+
+  expect(client.writes).toEqual([]);
+});
+
+test("stops and keeps the rest queued when the network drops again", async () => {
+  const client = createFakeClient();
+  client.goOffline();
+  const store = createFakeStore([
+    { table: "movies", type: "insert", row: { id: "local-1", title: "Heat" } },
+    { table: "movies", type: "update", id: 5, changes: { priority: "high" } },
+  ]);
+
+  const result = await replayMutations({ client, store });
+
+  expect(result).toEqual({ stopped: true });
+  expect(store.remaining()).toHaveLength(2);
+});
@@ -0,0 +1,95 @@
+// IndexedDB persistence for offline use: a key/value cache of the last loaded
+// lists and queues, and an ordered log of mutations waiting to be sent. Every
+// function degrades to a no-op where IndexedDB is unavailable.
+
+const DB_NAME = "cinema-queue";
+const DB_VERSION = 1;
+const CACHE_STORE = "cache";
+const MUTATION_STORE = "mutations";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE);
+        }
+        if (!db.objectStoreNames.contains(MUTATION_STORE)) {
+          db.createObjectStore(MUTATION_STORE, { autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Private browsing and blocked storage: carry on without a cache.
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result ?? null);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const queueCacheKey = (listId) => `queue:${listId}`;
+
+export const readCache = (key) =>
+  run(CACHE_STORE, "readonly", (store) => store.get(key)).catch(() => null);
+
+export const writeCache = (key, value) =>
+  run(CACHE_STORE, "readwrite", (store) => store.put(value, key)).catch(
+    () => null
+  );
+
+// Everything cached is for whoever is signed in, so it goes on sign-out.
+export const clearCache = () =>
+  run(CACHE_STORE, "readwrite", (store) => store.clear()).catch(() => null);
+
+// Mutations are tagged with the user who made them; only that user replays
+// them, so someone else signing in on the same device can't send them.
+export const enqueueMutation = (mutation, userId) =>
+  run(MUTATION_STORE, "readwrite", (store) =>
+    store.add({ ...mutation, userId })
+  );
+
+// Oldest first, each with its store key as `key`.
+export const readMutations = async (userId) => {
+  const db = await openDatabase();
+  if (!db || !userId) return [];
+
+  return new Promise((resolve, reject) => {
+    const mutations = [];
+    const transaction = db.transaction(MUTATION_STORE, "readonly");
+    transaction.objectStore(MUTATION_STORE).openCursor().onsuccess = (
+      event
+    ) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        if (cursor.value.userId === userId) {
+          mutations.push({ ...cursor.value, key: cursor.key });
+        }
+        cursor.continue();
+      }
+    };
+    transaction.oncomplete = () => resolve(mutations);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const replaceMutation = (key, mutation) =>
+  run(MUTATION_STORE, "readwrite", (store) => store.put(mutation, key));
+
+export const removeMutation = (key) =>
+  run(MUTATION_STORE, "readwrite", (store) => store.delete(key));
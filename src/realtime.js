@@ -0,0 +1,121 @@
+// Minimal Supabase Realtime client: one websocket per subscription speaking
+// the Phoenix channel protocol, listening for Postgres changes on one table.
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+export const subscribeToTable = ({
+  url,
+  apiKey,
+  getAccessToken = () => null,
+  table,
+  schema = "public",
+  filter,
+  onChange,
+  onStatus = () => {},
+}) => {
+  const socketUrl = `${url.replace(
+    /^http/,
+    "ws"
+  )}/realtime/v1/websocket?apikey=${encodeURIComponent(apiKey)}&vsn=1.0.0`;
+  const topic = `realtime:${schema}:${table}`;
+
+  let socket = null;
+  let heartbeatTimer = null;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let ref = 0;
+  let closed = false;
+
+  const send = (message) => {
+    if (socket?.readyState === WebSocket.OPEN) {
+      ref += 1;
+      socket.send(JSON.stringify({ ...message, ref: String(ref) }));
+    }
+  };
+
+  const scheduleReconnect = () => {
+    clearInterval(heartbeatTimer);
+    if (closed) return;
+    onStatus("offline");
+    const delay = Math.min(
+      1000 * 2 ** reconnectAttempts,
+      MAX_RECONNECT_DELAY_MS
+    );
+    reconnectAttempts += 1;
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    if (message.topic !== topic) return;
+
+    if (message.event === "phx_reply" && message.payload?.status === "ok") {
+      reconnectAttempts = 0;
+      onStatus("live");
+    } else if (
+      message.event === "phx_error" ||
+      (message.event === "phx_reply" && message.payload?.status === "error")
+    ) {
+      socket.close();
+    } else if (message.event === "postgres_changes") {
+      const { type, record, old_record } = message.payload?.data || {};
+      onChange({ type, record, oldRecord: old_record });
+    }
+  };
+
+  function connect() {
+    if (typeof WebSocket === "undefined") {
+      onStatus("offline");
+      return;
+    }
+
+    onStatus("connecting");
+    try {
+      socket = new WebSocket(socketUrl);
+    } catch (error) {
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      const accessToken = getAccessToken();
+      send({
+        topic,
+        event: "phx_join",
+        payload: {
+          config: {
+            postgres_changes: [
+              { event: "*", schema, table, ...(filter ? { filter } : {}) },
+            ],
+          },
+          ...(accessToken ? { access_token: accessToken } : {}),
+        },
+      });
+      heartbeatTimer = setInterval(
+        () => send({ topic: "phoenix", event: "heartbeat", payload: {} }),
+        HEARTBEAT_INTERVAL_MS
+      );
+    };
+    socket.onmessage = handleMessage;
+    socket.onclose = scheduleReconnect;
+    socket.onerror = () => socket.close();
+  }
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearInterval(heartbeatTimer);
+    clearTimeout(reconnectTimer);
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+    }
+  };
+};
@@ -0,0 +1,273 @@
+import { subscribeToTable } from "./realtime";
+
+const URL = "https://example.supabase.co";
+const API_KEY = "anon-key";
+const TOPIC = "realtime:public:movies";
+
+class FakeWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = FakeWebSocket.CLOSED;
+    if (this.onclose) this.onclose();
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen();
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+const latestSocket = () =>
+  FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+
+const joinReply = (status = "ok") => ({
+  topic: TOPIC,
+  event: "phx_reply",
+  payload: { status },
+});
+
+let onChange;
+let onStatus;
+let unsubscribe;
+
+const subscribe = (options = {}) => {
+  unsubscribe = subscribeToTable({
+    url: URL,
+    apiKey: API_KEY,
+    getAccessToken: () => "token",
+    table: "movies",
+    filter: "list_id=eq.7",
+    onChange,
+    onStatus,
+    ...options,
+  });
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeWebSocket.instances = [];
+  global.WebSocket = FakeWebSocket;
+  onChange = jest.fn();
+  onStatus = jest.fn();
+});
+
+afterEach(() => {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+  delete global.WebSocket;
+  jest.useRealTimers();
+});
+
+describe("joining", () => {
+  test("connects to the realtime websocket with the API key", () => {
+    subscribe();
+
+    expect(latestSocket().url).toBe(
+      "wss://example.supabase.co/realtime/v1/websocket?apikey=anon-key&vsn=1.0.0"
+    );
+    expect(onStatus).toHaveBeenLastCalledWith("connecting");
+  });
+
+  test("joins the table's channel with its filter and access token", () => {
+    subscribe();
+    latestSocket().open();
+
+    expect(latestSocket().sent[0]).toEqual({
+      topic: TOPIC,
+      event: "phx_join",
+      payload: {
+        config: {
+          postgres_changes: [
+            {
+              event: "*",
+              schema: "public",
+              table: "movies",
+              filter: "list_id=eq.7",
+            },
+          ],
+        },
+        access_token: "token",
+      },
+      ref: "1",
+    });
+  });
+
+  test("leaves out the filter and token when there are none", () => {
+    subscribe({ filter: undefined, getAccessToken: () => null });
+    latestSocket().open();
+
+    expect(latestSocket().sent[0].payload).toEqual({
+      config: {
+        postgres_changes: [{ event: "*", schema: "public", table: "movies" }],
+      },
+    });
+  });
+
+  test("reports live once the join is acknowledged", () => {
+    subscribe();
+    latestSocket().open();
+    latestSocket().receive(joinReply());
+
+    expect(onStatus).toHaveBeenLastCalledWith("live");
+  });
+
+  test("passes Postgres changes on and ignores other topics", () => {
+    subscribe();
+    latestSocket().open();
+    latestSocket().receive({
+      topic: "realtime:public:votes",
+      event: "postgres_changes",
+      payload: { data: { type: "INSERT", record: { id: 9 } } },
+    });
+    latestSocket().receive({
+      topic: TOPIC,
+      event: "postgres_changes",
+      payload: {
+        data: { type: "DELETE", record: null, old_record: { id: 3 } },
+      },
+    });
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({
+      type: "DELETE",
+      record: null,
+      oldRecord: { id: 3 },
+    });
+  });
+});
+
+describe("heartbeat", () => {
+  test("sends a heartbeat every 25 seconds while open", () => {
+    subscribe();
+    latestSocket().open();
+    jest.advanceTimersByTime(50000);
+
+    const heartbeats = latestSocket().sent.filter(
+      (message) => message.event === "heartbeat"
+    );
+    expect(heartbeats).toEqual([
+      { topic: "phoenix", event: "heartbeat", payload: {}, ref: "2" },
+      { topic: "phoenix", event: "heartbeat", payload: {}, ref: "3" },
+    ]);
+  });
+
+  test("stops once the socket closes", () => {
+    subscribe();
+    const socket = latestSocket();
+    socket.open();
+    socket.close();
+    jest.advanceTimersByTime(25000);
+
+    expect(socket.sent.some((message) => message.event === "heartbeat")).toBe(
+      false
+    );
+  });
+});
+
+describe("reconnecting", () => {
+  test("goes offline and reconnects with exponential backoff", () => {
+    subscribe();
+    latestSocket().close();
+
+    expect(onStatus).toHaveBeenLastCalledWith("offline");
+    jest.advanceTimersByTime(999);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    latestSocket().close();
+    jest.advanceTimersByTime(1999);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+  });
+
+  test("caps the delay at 30 seconds", () => {
+    subscribe();
+    for (let attempt = 0; attempt < 6; attempt += 1) {
+      latestSocket().close();
+      jest.advanceTimersByTime(30000);
+    }
+    const count = FakeWebSocket.instances.length;
+
+    latestSocket().close();
+    jest.advanceTimersByTime(29999);
+    expect(FakeWebSocket.instances).toHaveLength(count);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(count + 1);
+  });
+
+  test("resets the backoff after a successful join", () => {
+    subscribe();
+    latestSocket().close();
+    jest.advanceTimersByTime(1000);
+    latestSocket().close();
+    jest.advanceTimersByTime(2000);
+
+    latestSocket().open();
+    latestSocket().receive(joinReply());
+    latestSocket().close();
+    jest.advanceTimersByTime(1000);
+
+    expect(FakeWebSocket.instances).toHaveLength(4);
+  });
+
+  test("drops the socket when the join is rejected", () => {
+    subscribe();
+    latestSocket().open();
+    latestSocket().receive(joinReply("error"));
+
+    expect(latestSocket().readyState).toBe(FakeWebSocket.CLOSED);
+    expect(onStatus).toHaveBeenLastCalledWith("offline");
+  });
+
+  test("stops reconnecting after unsubscribing", () => {
+    subscribe();
+    latestSocket().close();
+    unsubscribe();
+    unsubscribe = null;
+    jest.advanceTimersByTime(60000);
+
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+});
+
+describe("falling back to polling", () => {
+  test("reports offline straight away without WebSocket support", () => {
+    delete global.WebSocket;
+    subscribe();
+
+    expect(onStatus).toHaveBeenCalledTimes(1);
+    expect(onStatus).toHaveBeenCalledWith("offline");
+  });
+
+  test("reports offline when the socket can't be created", () => {
+    global.WebSocket = class extends FakeWebSocket {
+      constructor() {
+        throw new Error("blocked");
+      }
+    };
+    subscribe();
+
+    expect(onStatus).toHaveBeenLastCalledWith("offline");
+  });
+});
@@ -0,0 +1,73 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js.
+// Precaches the app shell, keeps TMDB posters around for offline use, and
+// falls back to public/offline.html when a page can't be loaded at all.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import {
+  precacheAndRoute,
+  createHandlerBoundToURL,
+  matchPrecache,
+} from "workbox-precaching";
+import { registerRoute, setCatchHandler } from "workbox-routing";
+import { CacheFirst } from "workbox-strategies";
+
+const OFFLINE_PAGE = `${process.env.PUBLIC_URL}/offline.html`;
+
+clientsClaim();
+
+// public/ isn't part of the webpack build, so list what the shell needs from
+// there alongside the generated manifest. Bump the revision when they change.
+precacheAndRoute([
+  ...self.__WB_MANIFEST,
+  { url: OFFLINE_PAGE, revision: "2" },
+  { url: `${process.env.PUBLIC_URL}/manifest.json`, revision: "1" },
+  { url: `${process.env.PUBLIC_URL}/favicon.ico`, revision: "1" },
+  { url: `${process.env.PUBLIC_URL}/logo192.png`, revision: "1" },
+]);
+
+// In-app URLs (`?list=...`, `/movie/...`) are all served by index.html.
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== "navigate") return false;
+    if (url.pathname.startsWith("/_")) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Posters never change for a given path, so serve them from the cache first.
+registerRoute(
+  ({ url }) => url.origin === "https://image.tmdb.org",
+  new CacheFirst({
+    cacheName: "tmdb-posters",
+    plugins: [
+      // Cross-origin <img> requests are opaque (status 0).
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({
+        maxEntries: 300,
+        maxAgeSeconds: 60 * 60 * 24 * 60,
+        purgeOnQuotaError: true,
+      }),
+    ],
+  })
+);
+
+setCatchHandler(async ({ request }) => {
+  if (request.destination === "document") {
+    return (await matchPrecache(OFFLINE_PAGE)) || Response.error();
+  }
+  return Response.error();
+});
+
+// Lets the page activate a waiting update straight away.
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
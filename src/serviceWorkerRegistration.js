@@ -0,0 +1,45 @@
+// Registers the service worker built from src/service-worker.js. Only in
+// production builds: in development it would serve stale bundles.
+
+export const register = ({ onUpdate } = {}) => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The worker can't control pages on another origin (e.g. a CDN PUBLIC_URL).
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(
+        `${process.env.PUBLIC_URL}/service-worker.js`
+      );
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          // A controller already exists, so this is an update rather than the
+          // first install; it waits until every tab is closed.
+          if (
+            installing.state === "installed" &&
+            navigator.serviceWorker.controller
+          ) {
+            onUpdate?.(registration);
+          }
+        };
+      };
+    } catch (error) {
+      console.error("Service worker registration failed:", error);
+    }
+  });
+};
+
+export const unregister = async () => {
+  if (!("serviceWorker" in navigator)) return;
+  const registration = await navigator.serviceWorker.ready;
+  await registration.unregister();
+};
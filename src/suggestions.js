@@ -0,0 +1,92 @@
+// "What should we add next?": pools TMDB recommendations and similar titles
+// for everything we've queued or watched, and ranks them by how many of our
+// titles point to each.
+
+// Each source costs two TMDB requests, so only the most relevant are used.
+export const MAX_SUGGESTION_SOURCES = 20;
+
+export const getTitleKey = (mediaType, tmdbId) =>
+  `${mediaType === "tv" ? "tv" : "movie"}:${tmdbId}`;
+
+// One source per TMDB title: episodes and seasons of a series count once.
+export const getSuggestionSources = (
+  movies,
+  limit = MAX_SUGGESTION_SOURCES
+) => {
+  const seen = new Set();
+  return movies
+    .filter((movie) => {
+      if (!movie.tmdb_id) return false;
+      const key = getTitleKey(movie.media_type, movie.tmdb_id);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+// `related` is [{ source, results }]. Titles in `excludeKeys` (already on the
+// list) are dropped; ties go to TMDB's popularity.
+export const rankSuggestions = (
+  related,
+  excludeKeys = new Set(),
+  limit = 24
+) => {
+  const byKey = new Map();
+
+  related.forEach(({ source, results }) => {
+    results.forEach((result) => {
+      const key = getTitleKey(result.media_type, result.id);
+      if (excludeKeys.has(key)) return;
+      if (!byKey.has(key)) {
+        byKey.set(key, { key, result, because: [] });
+      }
+      const suggestion = byKey.get(key);
+      // Recommendations and similar titles often overlap.
+      if (!suggestion.because.includes(source.title)) {
+        suggestion.because.push(source.title);
+      }
+    });
+  });
+
+  return [...byKey.values()]
+    .sort(
+      (a, b) =>
+        b.because.length - a.because.length ||
+        (b.result.popularity || 0) - (a.result.popularity || 0)
+    )
+    .slice(0, limit);
+};
+
+// Sources whose lookup fails are skipped; it's only an error if all of them
+// fail.
+export const collectSuggestions = async ({ movies, fetchRelated, limit }) => {
+  const sources = getSuggestionSources(movies);
+  const related = [];
+  let failed = 0;
+
+  for (const source of sources) {
+    try {
+      related.push({
+        source,
+        results: await fetchRelated(
+          source.media_type || "movie",
+          source.tmdb_id
+        ),
+      });
+    } catch (error) {
+      failed += 1;
+    }
+  }
+
+  if (sources.length > 0 && failed === sources.length) {
+    return { data: null, error: new Error("Couldn't reach TMDB") };
+  }
+
+  const excludeKeys = new Set(
+    movies
+      .filter((movie) => movie.tmdb_id)
+      .map((movie) => getTitleKey(movie.media_type, movie.tmdb_id))
+  );
+  return { data: rankSuggestions(related, excludeKeys, limit), error: null };
+};
@@ -0,0 +1,85 @@
+import {
+  collectSuggestions,
+  getSuggestionSources,
+  rankSuggestions,
+} from "./suggestions";
+
+const heat = { id: 1, title: "Heat", tmdb_id: "949", media_type: "movie" };
+const thief = { id: 2, title: "Thief", tmdb_id: "11524", media_type: "movie" };
+
+test("uses each TMDB title once, skipping rows without one", () => {
+  const sources = getSuggestionSources([
+    heat,
+    { id: 3, title: "The Wire", tmdb_id: "1438", media_type: "tv" },
+    { id: 4, title: "The Wire", tmdb_id: "1438", media_type: "tv" },
+    { id: 5, title: "Home video" },
+  ]);
+
+  expect(sources.map((source) => source.id)).toEqual([1, 3]);
+});
+
+test("ranks titles by how many of ours point to them", () => {
+  const ranked = rankSuggestions([
+    {
+      source: heat,
+      results: [
+        { id: 10, media_type: "movie", title: "Ronin", popularity: 5 },
+        { id: 11, media_type: "movie", title: "Collateral", popularity: 1 },
+        { id: 11, media_type: "movie", title: "Collateral", popularity: 1 },
+      ],
+    },
+    {
+      source: thief,
+      results: [
+        { id: 11, media_type: "movie", title: "Collateral", popularity: 1 },
+        { id: 12, media_type: "movie", title: "Drive", popularity: 9 },
+      ],
+    },
+  ]);
+
+  expect(ranked.map((s) => s.result.title)).toEqual([
+    "Collateral",
+    "Drive",
+    "Ronin",
+  ]);
+  expect(ranked[0].because).toEqual(["Heat", "Thief"]);
+});
+
+test("leaves out what's already on the list", async () => {
+  const fetchRelated = jest.fn((mediaType, id) =>
+    Promise.resolve(
+      id === "949"
+        ? [{ id: 11524, media_type: "movie", title: "Thief" }]
+        : [{ id: 12, media_type: "movie", title: "Drive" }]
+    )
+  );
+
+  const { data, error } = await collectSuggestions({
+    movies: [heat, thief],
+    fetchRelated,
+  });
+
+  expect(error).toBeNull();
+  expect(fetchRelated).toHaveBeenCalledWith("movie", "949");
+  expect(data.map((s) => s.key)).toEqual(["movie:12"]);
+});
+
+test("reports an error only when every lookup fails", async () => {
+  const fetchRelated = jest
+    .fn()
+    .mockRejectedValueOnce(new Error("429"))
+    .mockResolvedValueOnce([{ id: 12, media_type: "movie", title: "Drive" }]);
+
+  const partial = await collectSuggestions({
+    movies: [heat, thief],
+    fetchRelated,
+  });
+  expect(partial.data).toHaveLength(1);
+
+  const failed = await collectSuggestions({
+    movies: [heat],
+    fetchRelated: () => Promise.reject(new Error("offline")),
+  });
+  expect(failed.data).toBeNull();
+  expect(failed.error).toBeInstanceOf(Error);
+});
@@ -0,0 +1,147 @@
+// Data access for Supabase's REST API (PostgREST), shaped like the subset of
+// supabase-js the app uses. Every call resolves to `{ data, error }`; it never
+// throws.
+
+export class SupabaseError extends Error {
+  constructor(
+    message,
+    { status = 0, code = null, details = null, hint = null } = {}
+  ) {
+    super(message);
+    this.name = "SupabaseError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.hint = hint;
+  }
+
+  // True when the request never got an HTTP response (offline, DNS, CORS).
+  get isNetworkError() {
+    return this.status === 0;
+  }
+}
+
+// PostgREST needs values containing its reserved characters double-quoted
+// inside `in.(...)` lists.
+const formatListValue = (value) => {
+  const text = String(value);
+  return /[,()".:\s\\]/.test(text)
+    ? `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`
+    : text;
+};
+
+const toParam = (key, value) =>
+  `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+export const createSupabaseClient = ({
+  url,
+  anonKey,
+  getAccessToken = () => null,
+}) => {
+  const request = async (path, { method = "GET", body, prefer } = {}) => {
+    let response;
+    try {
+      response = await fetch(`${url}/rest/v1/${path}`, {
+        method,
+        headers: {
+          apikey: anonKey,
+          Authorization: `Bearer ${getAccessToken() || anonKey}`,
+          "Content-Type": "application/json",
+          ...(prefer ? { Prefer: prefer } : {}),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (error) {
+      return {
+        data: null,
+        error: new SupabaseError(error.message || "Network request failed"),
+      };
+    }
+
+    const data = await readBody(response);
+    if (!response.ok) {
+      return {
+        data: null,
+        error: new SupabaseError(
+          data?.message || `Request failed with status ${response.status}`,
+          {
+            status: response.status,
+            code: data?.code,
+            details: data?.details,
+            hint: data?.hint,
+          }
+        ),
+      };
+    }
+    return { data, error: null };
+  };
+
+  // Builders are immutable and thenable: filters chain, and the request is
+  // sent when the builder is awaited.
+  const query = (table, run, params = []) => {
+    const builder = {
+      eq: (column, value) =>
+        query(table, run, [...params, toParam(column, `eq.${value}`)]),
+      in: (column, values) =>
+        query(table, run, [
+          ...params,
+          toParam(column, `in.(${values.map(formatListValue).join(",")})`),
+        ]),
+      order: (column, { ascending = false } = {}) =>
+        query(table, run, [
+          ...params,
+          toParam("order", `${column}.${ascending ? "asc" : "desc"}`),
+        ]),
+      then: (resolve, reject) =>
+        run(
+          `${encodeURIComponent(table)}${
+            params.length ? `?${params.join("&")}` : ""
+          }`
+        ).then(resolve, reject),
+    };
+    return builder;
+  };
+
+  return {
+    from: (table) => ({
+      select: (columns = "*") =>
+        query(table, (path) => request(path), [toParam("select", columns)]),
+      insert: (rows) => {
+        const send = () =>
+          request(encodeURIComponent(table), {
+            method: "POST",
+            body: rows,
+            prefer: "return=representation",
+          });
+        // `.select()` is accepted for parity with supabase-js; inserted rows
+        // are always returned.
+        return {
+          select: () => ({ then: (...args) => send().then(...args) }),
+          then: (...args) => send().then(...args),
+        };
+      },
+      update: (changes) =>
+        query(table, (path) =>
+          request(path, {
+            method: "PATCH",
+            body: changes,
+            prefer: "return=representation",
+          })
+        ),
+      delete: () => query(table, (path) => request(path, { method: "DELETE" })),
+    }),
+    // Calls a Postgres function exposed by PostgREST.
+    rpc: (fn, args = {}) =>
+      request(`rpc/${encodeURIComponent(fn)}`, { method: "POST", body: args }),
+  };
+};
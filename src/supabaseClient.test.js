@@ -0,0 +1,185 @@
+import { createSupabaseClient, SupabaseError } from "./supabaseClient";
+
+const URL = "https://example.supabase.co";
+const ANON_KEY = "anon-key";
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(body === undefined ? "" : JSON.stringify(body)),
+});
+
+let client;
+let accessToken;
+
+beforeEach(() => {
+  accessToken = null;
+  global.fetch = jest.fn(() => Promise.resolve(jsonResponse([])));
+  client = createSupabaseClient({
+    url: URL,
+    anonKey: ANON_KEY,
+    getAccessToken: () => accessToken,
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const lastRequest = () => {
+  const [url, options] = global.fetch.mock.calls[0];
+  return { url, options };
+};
+
+describe("select", () => {
+  test("builds a chained, encoded query", async () => {
+    await client
+      .from("movies")
+      .select()
+      .eq("list_id", 7)
+      .order("position", { ascending: true });
+
+    expect(lastRequest().url).toBe(
+      `${URL}/rest/v1/movies?select=*&list_id=eq.7&order=position.asc`
+    );
+  });
+
+  test("URL-encodes filter values", async () => {
+    await client.from("movies").select().eq("title", "Fast & Furious #9");
+
+    expect(lastRequest().url).toBe(
+      `${URL}/rest/v1/movies?select=*&title=eq.Fast%20%26%20Furious%20%239`
+    );
+  });
+
+  test("quotes reserved characters inside in() lists", async () => {
+    await client.from("movies").select().in("title", ["Up", "Me, Myself"]);
+
+    expect(decodeURIComponent(lastRequest().url)).toBe(
+      `${URL}/rest/v1/movies?select=*&title=in.(Up,"Me, Myself")`
+    );
+  });
+
+  test("resolves rows as data", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse([{ id: 1 }]));
+
+    const result = await client.from("movies").select();
+
+    expect(result).toEqual({ data: [{ id: 1 }], error: null });
+  });
+
+  test("sends the anon key until there is a session token", async () => {
+    await client.from("movies").select();
+    accessToken = "user-token";
+    await client.from("movies").select();
+
+    const [, anonOptions] = global.fetch.mock.calls[0];
+    const [, userOptions] = global.fetch.mock.calls[1];
+    expect(anonOptions.headers.apikey).toBe(ANON_KEY);
+    expect(anonOptions.headers.Authorization).toBe(`Bearer ${ANON_KEY}`);
+    expect(userOptions.headers.Authorization).toBe("Bearer user-token");
+  });
+});
+
+describe("errors", () => {
+  test("turns a non-2xx response into a SupabaseError", async () => {
+    global.fetch.mockResolvedValueOnce(
+      jsonResponse(
+        {
+          message: "JWT expired",
+          code: "PGRST301",
+          details: null,
+          hint: null,
+        },
+        401
+      )
+    );
+
+    const { data, error } = await client.from("movies").select();
+
+    expect(data).toBeNull();
+    expect(error).toBeInstanceOf(SupabaseError);
+    expect(error.message).toBe("JWT expired");
+    expect(error.status).toBe(401);
+    expect(error.code).toBe("PGRST301");
+    expect(error.isNetworkError).toBe(false);
+  });
+
+  test("falls back to the status when the body has no message", async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 500,
+      text: () => Promise.resolve("Internal Server Error"),
+    });
+
+    const { error } = await client.from("movies").select();
+
+    expect(error.message).toBe("Request failed with status 500");
+    expect(error.status).toBe(500);
+  });
+
+  test("reports a failed fetch as a network error", async () => {
+    global.fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+
+    const { data, error } = await client.from("movies").select();
+
+    expect(data).toBeNull();
+    expect(error).toBeInstanceOf(SupabaseError);
+    expect(error.isNetworkError).toBe(true);
+  });
+});
+
+describe("writes", () => {
+  test("insert posts rows and returns the representation", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse([{ id: 3 }], 201));
+
+    const { data } = await client
+      .from("movies")
+      .insert([{ title: "Alien" }])
+      .select();
+
+    const { url, options } = lastRequest();
+    expect(url).toBe(`${URL}/rest/v1/movies`);
+    expect(options.method).toBe("POST");
+    expect(options.headers.Prefer).toBe("return=representation");
+    expect(JSON.parse(options.body)).toEqual([{ title: "Alien" }]);
+    expect(data).toEqual([{ id: 3 }]);
+  });
+
+  test("update patches the filtered rows", async () => {
+    await client.from("movies").update({ position: 1.5 }).eq("id", 4);
+
+    const { url, options } = lastRequest();
+    expect(url).toBe(`${URL}/rest/v1/movies?id=eq.4`);
+    expect(options.method).toBe("PATCH");
+    expect(JSON.parse(options.body)).toEqual({ position: 1.5 });
+  });
+
+  test("delete handles an empty 204 response", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(undefined, 204));
+
+    const result = await client.from("movies").delete().eq("id", 4);
+
+    const { url, options } = lastRequest();
+    expect(url).toBe(`${URL}/rest/v1/movies?id=eq.4`);
+    expect(options.method).toBe("DELETE");
+    expect(options.body).toBeUndefined();
+    expect(result).toEqual({ data: null, error: null });
+  });
+});
+
+describe("rpc", () => {
+  test("posts the arguments to the function", async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse([{ id: 2 }]));
+
+    const { data } = await client.rpc("list_by_slug", {
+      target_slug: "our-queue",
+    });
+
+    const { url, options } = lastRequest();
+    expect(url).toBe(`${URL}/rest/v1/rpc/list_by_slug`);
+    expect(options.method).toBe("POST");
+    expect(JSON.parse(options.body)).toEqual({ target_slug: "our-queue" });
+    expect(data).toEqual([{ id: 2 }]);
+  });
+});
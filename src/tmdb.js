@@ -0,0 +1,186 @@
+// TMDB lookups for the add form. Responses are cached in memory and in
+// sessionStorage, so retyping a query or reopening a title costs no API quota
+// for the rest of the visit.
+
+const TMDB_BASE_URL = "https://api.themoviedb.org/3";
+const CACHE_PREFIX = "cinemaQueue.tmdb:";
+
+const readStoredResponse = (key) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(CACHE_PREFIX + key));
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeResponse = (key, data) => {
+  try {
+    sessionStorage.setItem(CACHE_PREFIX + key, JSON.stringify(data));
+  } catch (error) {
+    // Storage full or disabled: the in-memory cache still applies.
+  }
+};
+
+export const createTmdbClient = ({ apiKey, baseUrl = TMDB_BASE_URL }) => {
+  const cache = new Map();
+
+  // Resolves to the parsed body. Rejects on HTTP errors and, when `signal` is
+  // aborted, with the fetch AbortError so callers can tell the two apart.
+  const get = async (path, params = {}, { signal } = {}) => {
+    const query = new URLSearchParams(params).toString();
+    const key = `${path}${query ? `?${query}` : ""}`;
+
+    if (cache.has(key)) return cache.get(key);
+    const stored = readStoredResponse(key);
+    if (stored) {
+      cache.set(key, stored);
+      return stored;
+    }
+
+    const response = await fetch(
+      `${baseUrl}${path}?${new URLSearchParams({ ...params, api_key: apiKey })}`,
+      { signal }
+    );
+    if (!response.ok) {
+      throw new Error(`TMDB request failed with status ${response.status}`);
+    }
+    const data = await response.json();
+    cache.set(key, data);
+    storeResponse(key, data);
+    return data;
+  };
+
+  return {
+    // Multi-search also returns people, which can't be queued.
+    search: async (query, { mode = "movie", page = 1, signal } = {}) => {
+      const data = await get(
+        `/search/${mode === "multi" ? "multi" : "movie"}`,
+        { query, page },
+        { signal }
+      );
+      return {
+        results: (data.results || [])
+          .map((result) => ({ media_type: "movie", ...result }))
+          .filter(
+            (result) =>
+              result.media_type === "movie" || result.media_type === "tv"
+          ),
+        page: data.page || page,
+        totalPages: data.total_pages || 0,
+      };
+    },
+    getMovie: (movieId) => get(`/movie/${movieId}`),
+    getSeries: (seriesId) => get(`/tv/${seriesId}`),
+    getSeason: (seriesId, seasonNumber) =>
+      get(`/tv/${seriesId}/season/${seasonNumber}`),
+    // Everything the detail view needs in one request.
+    getTitleDetails: (mediaType, id) =>
+      mediaType === "tv"
+        ? get(`/tv/${id}`, {
+            append_to_response: "credits,videos,content_ratings",
+          })
+        : get(`/movie/${id}`, {
+            append_to_response: "credits,videos,release_dates",
+          }),
+    // IMDb ids (tt...) resolve to exactly one title, tagged like search
+    // results; null if TMDB doesn't know it.
+    findByImdbId: async (imdbId) => {
+      const data = await get(`/find/${imdbId}`, {
+        external_source: "imdb_id",
+      });
+      if (data.movie_results?.length) {
+        return { ...data.movie_results[0], media_type: "movie" };
+      }
+      if (data.tv_results?.length) {
+        return { ...data.tv_results[0], media_type: "tv" };
+      }
+      return null;
+    },
+    // First page of TMDB's recommendations (what viewers also watched) and
+    // similar titles (shared genres and keywords), tagged like search results.
+    getRelatedTitles: async (mediaType, id) => {
+      const type = mediaType === "tv" ? "tv" : "movie";
+      const [recommendations, similar] = await Promise.all([
+        get(`/${type}/${id}/recommendations`),
+        get(`/${type}/${id}/similar`),
+      ]);
+      return [
+        ...(recommendations.results || []),
+        ...(similar.results || []),
+      ].map((result) => ({ ...result, media_type: type }));
+    },
+    // Offers for every region, keyed by ISO 3166-1 code (data from JustWatch).
+    getWatchProviders: async (mediaType, id) => {
+      const data = await get(
+        `/${mediaType === "tv" ? "tv" : "movie"}/${id}/watch/providers`
+      );
+      return data.results || {};
+    },
+    getWatchRegions: async () => {
+      const data = await get("/watch/providers/regions");
+      return data.results || [];
+    },
+    getProviderCatalog: async (region) => {
+      const data = await get("/watch/providers/movie", {
+        watch_region: region,
+      });
+      return data.results || [];
+    },
+  };
+};
+
+const pickCertification = (details, mediaType, region) => {
+  const byRegion = (results = [], code) =>
+    results.find((result) => result.iso_3166_1 === code);
+
+  if (mediaType === "tv") {
+    const results = details.content_ratings?.results;
+    return (byRegion(results, region) || byRegion(results, "US"))?.rating || "";
+  }
+  const results = details.release_dates?.results;
+  const releases = (byRegion(results, region) || byRegion(results, "US"))
+    ?.release_dates;
+  return (
+    releases?.find((release) => release.certification)?.certification || ""
+  );
+};
+
+// YouTube is the only site we can embed; prefer an official trailer, then any
+// trailer, then a teaser.
+const pickTrailer = (videos = []) => {
+  const youtube = videos.filter((video) => video.site === "YouTube");
+  return (
+    youtube.find((video) => video.type === "Trailer" && video.official) ||
+    youtube.find((video) => video.type === "Trailer") ||
+    youtube.find((video) => video.type === "Teaser") ||
+    null
+  );
+};
+
+// Flattens a getTitleDetails response into what the detail view shows.
+export const summarizeTitleDetails = (details, mediaType, region) => {
+  const crew = details.credits?.crew || [];
+  const directors =
+    mediaType === "tv"
+      ? (details.created_by || []).map((person) => person.name)
+      : crew
+          .filter((person) => person.job === "Director")
+          .map((person) => person.name);
+
+  return {
+    overview: details.overview || "",
+    tagline: details.tagline || "",
+    directors,
+    cast: (details.credits?.cast || []).slice(0, 6).map((person) => ({
+      name: person.name,
+      character: person.character,
+    })),
+    certification: pickCertification(details, mediaType, region),
+    voteAverage: details.vote_average || 0,
+    voteCount: details.vote_count || 0,
+    backdropPath: details.backdrop_path || null,
+    trailerKey: pickTrailer(details.videos?.results)?.key || null,
+  };
+};
+
+export const isAbortError = (error) => error?.name === "AbortError";
@@ -0,0 +1,214 @@
+import { createTmdbClient, isAbortError, summarizeTitleDetails } from "./tmdb";
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+let tmdb;
+
+beforeEach(() => {
+  sessionStorage.clear();
+  global.fetch = jest.fn(() =>
+    Promise.resolve(jsonResponse({ results: [], page: 1, total_pages: 0 }))
+  );
+  tmdb = createTmdbClient({ apiKey: "tmdb-key" });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("searches movies with the query, page and key", async () => {
+  await tmdb.search("Fast & Furious", { page: 2 });
+
+  const [url] = global.fetch.mock.calls[0];
+  expect(url).toBe(
+    "https://api.themoviedb.org/3/search/movie?query=Fast+%26+Furious&page=2&api_key=tmdb-key"
+  );
+});
+
+test("multi-search drops people and reports the page count", async () => {
+  global.fetch.mockResolvedValueOnce(
+    jsonResponse({
+      results: [
+        { id: 1, media_type: "movie", title: "Heat" },
+        { id: 2, media_type: "person", name: "Al Pacino" },
+        { id: 3, media_type: "tv", name: "The Wire" },
+      ],
+      page: 1,
+      total_pages: 4,
+    })
+  );
+
+  const { results, totalPages } = await tmdb.search("heat", { mode: "multi" });
+
+  expect(global.fetch.mock.calls[0][0]).toContain("/search/multi?");
+  expect(results.map((result) => result.id)).toEqual([1, 3]);
+  expect(totalPages).toBe(4);
+});
+
+test("tags movie-only results as movies", async () => {
+  global.fetch.mockResolvedValueOnce(
+    jsonResponse({ results: [{ id: 1, title: "Heat" }], total_pages: 1 })
+  );
+
+  const { results } = await tmdb.search("heat");
+
+  expect(results[0].media_type).toBe("movie");
+});
+
+test("answers repeated lookups from the cache", async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ id: 7, runtime: 170 }));
+
+  await tmdb.getMovie(7);
+  const details = await tmdb.getMovie(7);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(details).toEqual({ id: 7, runtime: 170 });
+});
+
+test("reuses responses cached earlier in the session", async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ id: 7, runtime: 170 }));
+  await tmdb.getMovie(7);
+
+  const freshClient = createTmdbClient({ apiKey: "tmdb-key" });
+  const details = await freshClient.getMovie(7);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(details.runtime).toBe(170);
+});
+
+test("rejects on HTTP errors without caching them", async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({}, 429));
+
+  await expect(tmdb.getSeries(9)).rejects.toThrow("status 429");
+  await tmdb.getSeries(9);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test("passes the abort signal through to fetch", async () => {
+  const controller = new AbortController();
+  const abortError = Object.assign(new Error("aborted"), {
+    name: "AbortError",
+  });
+  global.fetch.mockRejectedValueOnce(abortError);
+
+  const search = tmdb.search("heat", { signal: controller.signal });
+
+  await expect(search).rejects.toBe(abortError);
+  expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+  expect(isAbortError(abortError)).toBe(true);
+});
+
+test("looks up watch providers by media type", async () => {
+  global.fetch.mockResolvedValueOnce(
+    jsonResponse({ id: 3, results: { GB: { flatrate: [] } } })
+  );
+
+  const offers = await tmdb.getWatchProviders("tv", 3);
+
+  expect(global.fetch.mock.calls[0][0]).toContain("/tv/3/watch/providers?");
+  expect(offers).toEqual({ GB: { flatrate: [] } });
+});
+
+test("resolves IMDb ids through the find endpoint", async () => {
+  global.fetch
+    .mockResolvedValueOnce(
+      jsonResponse({ movie_results: [], tv_results: [{ id: 1438 }] })
+    )
+    .mockResolvedValueOnce(jsonResponse({ movie_results: [], tv_results: [] }));
+
+  expect(await tmdb.findByImdbId("tt0306414")).toEqual({
+    id: 1438,
+    media_type: "tv",
+  });
+  expect(global.fetch.mock.calls[0][0]).toContain(
+    "/find/tt0306414?external_source=imdb_id"
+  );
+  expect(await tmdb.findByImdbId("tt0000000")).toBeNull();
+});
+
+test("pools recommendations and similar titles", async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ results: [{ id: 4 }] }))
+    .mockResolvedValueOnce(jsonResponse({ results: [{ id: 5 }] }));
+
+  const related = await tmdb.getRelatedTitles("tv", 3);
+
+  expect(global.fetch.mock.calls.map(([url]) => url.split("?")[0])).toEqual([
+    "https://api.themoviedb.org/3/tv/3/recommendations",
+    "https://api.themoviedb.org/3/tv/3/similar",
+  ]);
+  expect(related).toEqual([
+    { id: 4, media_type: "tv" },
+    { id: 5, media_type: "tv" },
+  ]);
+});
+
+describe("summarizeTitleDetails", () => {
+  const movie = {
+    overview: "A heist goes wrong.",
+    vote_average: 8.3,
+    vote_count: 7000,
+    backdrop_path: "/heat.jpg",
+    credits: {
+      crew: [
+        { name: "Dante Spinotti", job: "Director of Photography" },
+        { name: "Michael Mann", job: "Director" },
+      ],
+      cast: Array.from({ length: 8 }, (_, index) => ({
+        name: `Actor ${index}`,
+        character: `Role ${index}`,
+      })),
+    },
+    videos: {
+      results: [
+        { site: "Vimeo", type: "Trailer", key: "vimeo" },
+        { site: "YouTube", type: "Teaser", key: "teaser" },
+        { site: "YouTube", type: "Trailer", key: "trailer" },
+      ],
+    },
+    release_dates: {
+      results: [
+        {
+          iso_3166_1: "US",
+          release_dates: [{ certification: "" }, { certification: "R" }],
+        },
+        { iso_3166_1: "GB", release_dates: [{ certification: "15" }] },
+      ],
+    },
+  };
+
+  test("picks the director, top cast and a YouTube trailer", () => {
+    const summary = summarizeTitleDetails(movie, "movie", "US");
+
+    expect(summary.directors).toEqual(["Michael Mann"]);
+    expect(summary.cast).toHaveLength(6);
+    expect(summary.trailerKey).toBe("trailer");
+    expect(summary.certification).toBe("R");
+  });
+
+  test("uses the region's certification, falling back to the US", () => {
+    expect(summarizeTitleDetails(movie, "movie", "GB").certification).toBe(
+      "15"
+    );
+    expect(summarizeTitleDetails(movie, "movie", "FR").certification).toBe("R");
+  });
+
+  test("credits a series to its creators and reads TV ratings", () => {
+    const summary = summarizeTitleDetails(
+      {
+        created_by: [{ name: "David Simon" }],
+        content_ratings: { results: [{ iso_3166_1: "US", rating: "TV-MA" }] },
+      },
+      "tv",
+      "US"
+    );
+
+    expect(summary.directors).toEqual(["David Simon"]);
+    expect(summary.certification).toBe("TV-MA");
+    expect(summary.trailerKey).toBeNull();
+  });
+});
@@ -0,0 +1,14 @@
+-- Persisted manual ordering for the queue. Positions are fractional so a
+-- drag only has to rewrite the moved row (midpoint of its new neighbours).
+alter table movies add column if not exists position double precision;
+
+update movies
+set position = ranked.row_number
+from (
+  select id, row_number() over (order by created_at) as row_number
+  from movies
+) as ranked
+where movies.id = ranked.id
+  and movies.position is null;
+
+create index if not exists movies_position_idx on movies (position);
@@ -0,0 +1,5 @@
+-- Watched movies keep their row so they can be shown in the history and sent
+-- back to the queue; a null watched_at means the movie is still queued.
+alter table movies add column if not exists watched_at timestamptz;
+
+create index if not exists movies_watched_at_idx on movies (watched_at);
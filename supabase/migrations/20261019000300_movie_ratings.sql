@@ -0,0 +1,3 @@
+-- Post-watch ratings, one entry per household member:
+-- [{ "rated_by": "Sam", "stars": 4, "note": "...", "rated_at": "..." }]
+alter table movies add column if not exists ratings jsonb not null default '[]'::jsonb;
@@ -0,0 +1,11 @@
+-- Up/down votes on queued movies, one per member per movie.
+create table if not exists votes (
+  id bigint generated by default as identity primary key,
+  movie_id bigint not null references movies (id) on delete cascade,
+  voter text not null,
+  value smallint not null check (value in (-1, 1)),
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists votes_movie_voter_idx
+  on votes (movie_id, lower(voter));
@@ -0,0 +1,5 @@
+-- Broadcast queue changes over Supabase Realtime. Full replica identity makes
+-- delete events carry the whole old row rather than just its primary key.
+alter table movies replica identity full;
+
+alter publication supabase_realtime add table movies;
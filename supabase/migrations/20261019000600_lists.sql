@@ -0,0 +1,22 @@
+-- Named watchlists ("rooms"), each with its own queue. Existing movies are
+-- moved into a default list so nothing disappears.
+create table if not exists lists (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  slug text not null unique,
+  created_at timestamptz not null default now()
+);
+
+insert into lists (name, slug)
+select 'Our Queue', 'our-queue'
+where not exists (select 1 from lists);
+
+alter table movies add column if not exists list_id bigint references lists (id) on delete cascade;
+
+update movies
+set list_id = (select id from lists order by created_at limit 1)
+where list_id is null;
+
+alter table movies alter column list_id set not null;
+
+create index if not exists movies_list_id_idx on movies (list_id);
@@ -0,0 +1,32 @@
+-- Tie rows to Supabase Auth users and stop anonymous access. added_by, voter
+-- and rated_by stay as display names captured at write time.
+alter table movies add column if not exists user_id uuid references auth.users (id) default auth.uid();
+alter table lists add column if not exists user_id uuid references auth.users (id) default auth.uid();
+alter table votes add column if not exists voter_id uuid references auth.users (id) default auth.uid();
+
+drop index if exists votes_movie_voter_idx;
+create unique index if not exists votes_movie_voter_id_idx on votes (movie_id, voter_id);
+
+alter table movies enable row level security;
+alter table lists enable row level security;
+alter table votes enable row level security;
+
+create policy "Signed-in users can read lists" on lists
+  for select to authenticated using (true);
+create policy "Signed-in users can create lists" on lists
+  for insert to authenticated with check (user_id = auth.uid());
+
+create policy "Signed-in users can read movies" on movies
+  for select to authenticated using (true);
+create policy "Signed-in users can add movies as themselves" on movies
+  for insert to authenticated with check (user_id = auth.uid());
+create policy "Signed-in users can update movies" on movies
+  for update to authenticated using (true);
+create policy "Signed-in users can delete movies" on movies
+  for delete to authenticated using (true);
+
+create policy "Signed-in users can read votes" on votes
+  for select to authenticated using (true);
+create policy "Members manage their own votes" on votes
+  for all to authenticated
+  using (voter_id = auth.uid()) with check (voter_id = auth.uid());
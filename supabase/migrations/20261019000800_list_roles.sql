@@ -0,0 +1,106 @@
+-- Per-list roles. Owners manage everything, members add/vote/reorder and may
+-- edit or remove their own suggestions, viewers can only look.
+create table if not exists list_members (
+  id bigint generated by default as identity primary key,
+  list_id bigint not null references lists (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  display_name text not null default '',
+  role text not null default 'viewer' check (role in ('owner', 'member', 'viewer')),
+  created_at timestamptz not null default now(),
+  unique (list_id, user_id)
+);
+
+alter table list_members enable row level security;
+
+-- Whoever creates a list owns it.
+create or replace function add_list_owner() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  insert into list_members (list_id, user_id, display_name, role)
+  values (
+    new.id,
+    new.user_id,
+    coalesce((select raw_user_meta_data->>'display_name' from auth.users where id = new.user_id), ''),
+    'owner'
+  )
+  on conflict (list_id, user_id) do update set role = 'owner';
+  return new;
+end;
+$$;
+
+drop trigger if exists lists_add_owner on lists;
+create trigger lists_add_owner after insert on lists
+  for each row when (new.user_id is not null) execute function add_list_owner();
+
+insert into list_members (list_id, user_id, role)
+select id, user_id, 'owner' from lists where user_id is not null
+on conflict (list_id, user_id) do nothing;
+
+-- Role of the current user on a list, or null. Security definer so policies
+-- on list_members can use it without recursing into themselves.
+create or replace function list_role(target_list_id bigint) returns text
+language sql stable security definer set search_path = public as $$
+  select role from list_members
+  where list_id = target_list_id and user_id = auth.uid();
+$$;
+
+create policy "Members can see who else is on the list" on list_members
+  for select to authenticated using (list_role(list_id) is not null or user_id = auth.uid());
+create policy "Anyone signed in can join a list as a viewer" on list_members
+  for insert to authenticated with check (user_id = auth.uid() and role = 'viewer');
+create policy "Owners manage roles" on list_members
+  for update to authenticated using (list_role(list_id) = 'owner');
+create policy "Owners remove members, members can leave" on list_members
+  for delete to authenticated using (list_role(list_id) = 'owner' or user_id = auth.uid());
+
+-- Replace the blanket signed-in policies with role-aware ones.
+drop policy if exists "Signed-in users can read movies" on movies;
+drop policy if exists "Signed-in users can add movies as themselves" on movies;
+drop policy if exists "Signed-in users can update movies" on movies;
+drop policy if exists "Signed-in users can delete movies" on movies;
+
+create policy "List members can read movies" on movies
+  for select to authenticated using (list_role(list_id) is not null);
+create policy "Owners and members add movies as themselves" on movies
+  for insert to authenticated
+  with check (list_role(list_id) in ('owner', 'member') and user_id = auth.uid());
+create policy "Owners and members update movies" on movies
+  for update to authenticated using (list_role(list_id) in ('owner', 'member'));
+create policy "Owners or the suggester remove movies" on movies
+  for delete to authenticated
+  using (list_role(list_id) = 'owner' or (list_role(list_id) = 'member' and user_id = auth.uid()));
+
+-- Members may reorder, mark watched and rate anything, but the movie's own
+-- details can only be changed by an owner or whoever suggested it.
+create or replace function check_movie_edit() returns trigger
+language plpgsql as $$
+begin
+  if (new.title, new.genre, new.runtime, new.priority, new.poster_url, new.release_year, new.tmdb_id, new.added_by, new.user_id, new.list_id)
+       is distinct from
+     (old.title, old.genre, old.runtime, old.priority, old.poster_url, old.release_year, old.tmdb_id, old.added_by, old.user_id, old.list_id)
+     and list_role(old.list_id) is distinct from 'owner'
+     and old.user_id is distinct from auth.uid() then
+    raise exception 'Only the list owner or the suggester can edit this movie'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists movies_check_edit on movies;
+create trigger movies_check_edit before update on movies
+  for each row execute function check_movie_edit();
+
+drop policy if exists "Signed-in users can read votes" on votes;
+drop policy if exists "Members manage their own votes" on votes;
+
+create policy "List members can read votes" on votes
+  for select to authenticated
+  using (list_role((select list_id from movies where movies.id = movie_id)) is not null);
+create policy "Owners and members manage their own votes" on votes
+  for all to authenticated
+  using (voter_id = auth.uid())
+  with check (
+    voter_id = auth.uid()
+    and list_role((select list_id from movies where movies.id = movie_id)) in ('owner', 'member')
+  );
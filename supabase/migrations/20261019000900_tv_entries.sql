@@ -0,0 +1,28 @@
+-- The queue holds TV as well as films. A TV entry is a whole series, one
+-- season (season_number set) or one episode (season_number and
+-- episode_number set); tmdb_id is then the series' TMDB id.
+alter table movies add column if not exists media_type text not null default 'movie'
+  check (media_type in ('movie', 'tv'));
+alter table movies add column if not exists season_number integer
+  check (season_number is null or season_number >= 0);
+alter table movies add column if not exists episode_number integer
+  check (episode_number is null or (season_number is not null and episode_number > 0));
+alter table movies add column if not exists network text;
+
+-- The new columns are details too: only the owner or the suggester may change them.
+create or replace function check_movie_edit() returns trigger
+language plpgsql as $$
+begin
+  if (new.title, new.genre, new.runtime, new.priority, new.poster_url, new.release_year, new.tmdb_id, new.added_by, new.user_id, new.list_id,
+      new.media_type, new.season_number, new.episode_number, new.network)
+       is distinct from
+     (old.title, old.genre, old.runtime, old.priority, old.poster_url, old.release_year, old.tmdb_id, old.added_by, old.user_id, old.list_id,
+      old.media_type, old.season_number, old.episode_number, old.network)
+     and list_role(old.list_id) is distinct from 'owner'
+     and old.user_id is distinct from auth.uid() then
+    raise exception 'Only the list owner or the suggester can edit this movie'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
@@ -0,0 +1,12 @@
+-- Where-to-watch settings per list: the TMDB watch region (ISO 3166-1 code)
+-- and the TMDB provider ids of the services the household subscribes to.
+alter table lists add column if not exists watch_region text not null default 'US'
+  check (watch_region ~ '^[A-Z]{2}$');
+alter table lists add column if not exists streaming_services jsonb not null default '[]'::jsonb
+  check (jsonb_typeof(streaming_services) = 'array');
+
+drop policy if exists "Owners can update their lists" on lists;
+create policy "Owners can update their lists" on lists
+  for update to authenticated
+  using (list_role(id) = 'owner')
+  with check (list_role(id) = 'owner');
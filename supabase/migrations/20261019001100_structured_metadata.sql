@@ -0,0 +1,55 @@
+-- Structured metadata in place of display strings. genre and runtime are no
+-- longer written, and release_year only for titles imported without a TMDB
+-- match, where the file gives just a year; they're kept so rows that have no
+-- tmdb_id (added by hand) still show something. Rows with a tmdb_id get the
+-- rest filled in by the app's "Fill in details" backfill.
+alter table movies add column if not exists genre_ids integer[] not null default '{}';
+alter table movies add column if not exists runtime_minutes integer
+  check (runtime_minutes is null or runtime_minutes >= 0);
+alter table movies add column if not exists release_date date;
+alter table movies add column if not exists original_language text;
+alter table movies add column if not exists vote_average numeric(3, 1)
+  check (vote_average is null or vote_average between 0 and 10);
+
+-- Best effort from the old strings: "123 min" and comma-joined TMDB genre names.
+update movies
+set runtime_minutes = substring(runtime from '\d+')::integer
+where runtime_minutes is null and runtime ~ '\d';
+
+update movies
+set genre_ids = coalesce((
+  select array_agg(g.id order by n.ordinality)
+  from unnest(string_to_array(movies.genre, ',')) with ordinality as n (name, ordinality)
+  join (values
+    (28, 'Action'), (12, 'Adventure'), (16, 'Animation'), (35, 'Comedy'),
+    (80, 'Crime'), (99, 'Documentary'), (18, 'Drama'), (10751, 'Family'),
+    (14, 'Fantasy'), (36, 'History'), (27, 'Horror'), (10402, 'Music'),
+    (9648, 'Mystery'), (10749, 'Romance'), (878, 'Science Fiction'),
+    (10770, 'TV Movie'), (53, 'Thriller'), (10752, 'War'), (37, 'Western'),
+    (10759, 'Action & Adventure'), (10762, 'Kids'), (10763, 'News'),
+    (10764, 'Reality'), (10765, 'Sci-Fi & Fantasy'), (10766, 'Soap'),
+    (10767, 'Talk'), (10768, 'War & Politics')
+  ) as g (id, name) on lower(g.name) = lower(trim(n.name))
+), '{}')
+where genre_ids = '{}' and coalesce(genre, '') <> '';
+
+create index if not exists movies_release_date_idx on movies (release_date);
+
+create or replace function check_movie_edit() returns trigger
+language plpgsql as $$
+begin
+  if (new.title, new.genre, new.runtime, new.priority, new.poster_url, new.release_year, new.tmdb_id, new.added_by, new.user_id, new.list_id,
+      new.media_type, new.season_number, new.episode_number, new.network,
+      new.genre_ids, new.runtime_minutes, new.release_date, new.original_language, new.vote_average)
+       is distinct from
+     (old.title, old.genre, old.runtime, old.priority, old.poster_url, old.release_year, old.tmdb_id, old.added_by, old.user_id, old.list_id,
+      old.media_type, old.season_number, old.episode_number, old.network,
+      old.genre_ids, old.runtime_minutes, old.release_date, old.original_language, old.vote_average)
+     and list_role(old.list_id) is distinct from 'owner'
+     and old.user_id is distinct from auth.uid() then
+    raise exception 'Only the list owner or the suggester can edit this movie'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
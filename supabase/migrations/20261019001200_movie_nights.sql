@@ -0,0 +1,11 @@
+-- Movie nights: a queued title can be booked for a date and time, and each
+-- list has a time its nights should be over by (checked against runtimes in
+-- the app). Like `position`, scheduled_at isn't a detail column, so any member
+-- can set it; check_movie_edit is unchanged.
+alter table movies add column if not exists scheduled_at timestamptz;
+
+create index if not exists movies_scheduled_at_idx
+  on movies (list_id, scheduled_at)
+  where scheduled_at is not null;
+
+alter table lists add column if not exists night_ends_at time not null default '23:00';
@@ -0,0 +1,46 @@
+-- Ratings move out of the movies.ratings array into their own table, one row
+-- per member per movie. The client used to rewrite the whole array, so two
+-- people rating at about the same time could drop each other's rating.
+create table if not exists ratings (
+  id bigint generated by default as identity primary key,
+  movie_id bigint not null references movies (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete set null default auth.uid(),
+  rated_by text not null default '',
+  stars smallint not null check (stars between 1 and 5),
+  note text not null default '',
+  rated_at timestamptz not null default now()
+);
+
+create unique index if not exists ratings_movie_user_idx on ratings (movie_id, user_id);
+
+-- Ratings from before sign-in (or by since-deleted accounts) keep their
+-- rated_by name without a user.
+insert into ratings (movie_id, user_id, rated_by, stars, note, rated_at)
+select
+  movies.id,
+  (select id from auth.users where id::text = rating->>'user_id'),
+  coalesce(rating->>'rated_by', ''),
+  (rating->>'stars')::smallint,
+  coalesce(rating->>'note', ''),
+  coalesce((rating->>'rated_at')::timestamptz, now())
+from movies, jsonb_array_elements(movies.ratings) as rating
+where (rating->>'stars')::smallint between 1 and 5
+on conflict do nothing;
+
+alter table movies drop column if exists ratings;
+
+alter table ratings enable row level security;
+
+create policy "List members can read ratings" on ratings
+  for select to authenticated
+  using (list_role((select list_id from movies where movies.id = movie_id)) is not null);
+create policy "Owners and members manage their own ratings" on ratings
+  for all to authenticated
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    and list_role((select list_id from movies where movies.id = movie_id)) in ('owner', 'member')
+  );
+
+alter table ratings replica identity full;
+alter publication supabase_realtime add table ratings;
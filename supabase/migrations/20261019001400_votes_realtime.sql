@@ -0,0 +1,4 @@
+-- Broadcast votes over Supabase Realtime too, so tallies update live.
+alter table votes replica identity full;
+
+alter publication supabase_realtime add table votes;
@@ -0,0 +1,50 @@
+-- Lists are only visible to their members (and whoever created them, so the
+-- insert can return the new row before its owner trigger has run). Anyone
+-- signed in can still open a shared link, which looks the list up by slug.
+drop policy if exists "Signed-in users can read lists" on lists;
+create policy "Members can read their lists" on lists
+  for select to authenticated
+  using (list_role(id) is not null or user_id = auth.uid());
+
+create or replace function list_by_slug(target_slug text) returns setof lists
+language sql stable security definer set search_path = public as $$
+  select * from lists where slug = target_slug;
+$$;
+
+-- Functions are executable by PUBLIC by default.
+revoke execute on function list_by_slug(text) from public;
+grant execute on function list_by_slug(text) to authenticated;
+
+-- Lists from before sign-in (the seeded "Our Queue") have no user_id and so
+-- no owner. Give each to whoever added its earliest movie after signing in,
+-- or failing that the first account created. Joining never grants more than
+-- viewer; owners promote people from there.
+with ownerless as (
+  select
+    lists.id as list_id,
+    coalesce(
+      (select movies.user_id from movies
+       where movies.list_id = lists.id and movies.user_id is not null
+       order by movies.created_at limit 1),
+      (select id from auth.users order by created_at limit 1)
+    ) as user_id
+  from lists
+  where not exists (
+    select 1 from list_members
+    where list_members.list_id = lists.id and list_members.role = 'owner'
+  )
+),
+claimed as (
+  update lists set user_id = ownerless.user_id
+  from ownerless
+  where lists.id = ownerless.list_id and lists.user_id is null
+)
+insert into list_members (list_id, user_id, display_name, role)
+select
+  ownerless.list_id,
+  ownerless.user_id,
+  coalesce((select raw_user_meta_data->>'display_name' from auth.users where id = ownerless.user_id), ''),
+  'owner'
+from ownerless
+where ownerless.user_id is not null
+on conflict (list_id, user_id) do update set role = 'owner';